@@ -0,0 +1,213 @@
+// autenticacion.js - API KEYS CON ROLES Y ALCANCE POR REGIÓN, GRUPO OPERATIVO O SUCURSAL
+//
+// Roles:
+//   admin        todo, incluida la administración de catálogos y llaves
+//   regional     solo datos de su región (regiones_operativas)
+//   grupo        solo datos de su grupo operativo (grupos_operativos)
+//   sucursal     solo datos de su sucursal
+//   integracion  solo puede enviar quejas (webhook de Google Sheets u otros canales)
+//
+// La llave se envía en `Authorization: Bearer <llave>` o en `X-API-Key`. En la base solo
+// se guarda su hash SHA-256. ADMIN_API_KEY (variable de entorno) funciona como admin sin
+// estar en la base, para crear las primeras llaves.
+const crypto = require('crypto');
+
+const ROLES = ['admin', 'regional', 'grupo', 'sucursal', 'integracion'];
+
+// Cuánto tiempo se reutiliza una llave ya validada antes de volver a consultarla.
+// Solo se guardan llaves válidas, y no más de CACHE_LLAVES_MAX (se descartan las más viejas)
+const CACHE_LLAVES_MS = 60000;
+const CACHE_LLAVES_MAX = 1000;
+
+function hashLlave(llave) {
+    return crypto.createHash('sha256').update(llave).digest('hex');
+}
+
+// Compara hashes en tiempo constante
+function mismoHash(a, b) {
+    return crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+}
+
+function generarLlave() {
+    return `epl_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function leerLlave(req) {
+    const autorizacion = req.get('Authorization') || '';
+    if (autorizacion.startsWith('Bearer ')) return autorizacion.substring(7).trim();
+    return req.get('X-API-Key') || null;
+}
+
+function crearAutenticacion(pool) {
+    const cache = new Map(); // hash -> { auth, expira }
+
+    function guardarEnCache(hash, auth) {
+        const ahora = Date.now();
+        cache.forEach((entrada, clave) => {
+            if (entrada.expira <= ahora) cache.delete(clave);
+        });
+        while (cache.size >= CACHE_LLAVES_MAX) {
+            cache.delete(cache.keys().next().value);
+        }
+        cache.set(hash, { auth, expira: ahora + CACHE_LLAVES_MS });
+    }
+
+    async function buscarLlave(llave) {
+        const hash = hashLlave(llave);
+        if (process.env.ADMIN_API_KEY && mismoHash(hash, hashLlave(process.env.ADMIN_API_KEY))) {
+            return { id: null, nombre: 'ADMIN_API_KEY', rol: 'admin' };
+        }
+
+        const enCache = cache.get(hash);
+        if (enCache && enCache.expira > Date.now()) return enCache.auth;
+
+        const result = await pool.query(`
+            SELECT id, nombre, rol, region_id, grupo_id, sucursal_id, gerente_id
+            FROM api_keys
+            WHERE key_hash = $1
+            AND activa = true
+            AND (expira_en IS NULL OR expira_en > CURRENT_TIMESTAMP)
+        `, [hash]);
+
+        // Una llave inválida no se guarda: el cache no crece con llaves inventadas
+        const auth = result.rows[0] || null;
+        if (!auth) return null;
+
+        await pool.query('UPDATE api_keys SET ultimo_uso = CURRENT_TIMESTAMP WHERE id = $1', [auth.id]);
+        guardarEnCache(hash, auth);
+        return auth;
+    }
+
+    // Middleware: rechaza solicitudes sin llave válida y deja la identidad en req.auth
+    async function autenticar(req, res, next) {
+        const llave = leerLlave(req);
+        if (!llave) {
+            return res.status(401).json({ success: false, error: 'Se requiere API key' });
+        }
+
+        try {
+            const auth = await buscarLlave(llave);
+            if (!auth) {
+                return res.status(401).json({ success: false, error: 'API key inválida, revocada o expirada' });
+            }
+            req.auth = auth;
+            next();
+        } catch (error) {
+            console.error('Error validando API key:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    // Crea una llave; para regional y grupo el alcance se puede tomar del gerente
+    // (su región, o el grupo operativo que tiene a cargo). La llave solo se regresa aquí.
+    async function crearLlave({ nombre, rol, region_id, grupo_id, sucursal_id, gerente_id, expira_en }) {
+        if (!nombre || !ROLES.includes(rol)) {
+            const error = new Error(`nombre y rol (${ROLES.join(', ')}) son obligatorios`);
+            error.status = 400;
+            throw error;
+        }
+
+        const alcance = {
+            region_id: region_id || null,
+            grupo_id: grupo_id || null,
+            sucursal_id: sucursal_id || null,
+            gerente_id: gerente_id || null
+        };
+
+        if (alcance.gerente_id) {
+            const gerente = await pool.query(`
+                SELECT g.id, g.region_id, array_agg(go.id) FILTER (WHERE go.id IS NOT NULL) as grupos
+                FROM gerentes_operaciones g
+                LEFT JOIN grupos_operativos go ON go.gerente_id = g.id
+                WHERE g.id = $1 AND g.activo = true
+                GROUP BY g.id
+            `, [alcance.gerente_id]);
+
+            if (gerente.rows.length === 0) {
+                const error = new Error(`Gerente ${alcance.gerente_id} no existe o no está activo`);
+                error.status = 400;
+                throw error;
+            }
+
+            const { region_id: regionGerente, grupos } = gerente.rows[0];
+            if (rol === 'regional' && !alcance.region_id) alcance.region_id = regionGerente;
+            if (rol === 'grupo' && !alcance.grupo_id && grupos?.length === 1) alcance.grupo_id = grupos[0];
+        }
+
+        const requerido = { regional: 'region_id', grupo: 'grupo_id', sucursal: 'sucursal_id' }[rol];
+        if (requerido && !alcance[requerido]) {
+            const error = new Error(`El rol ${rol} requiere ${requerido}${rol !== 'sucursal' ? ' (o un gerente_id que lo determine)' : ''}`);
+            error.status = 400;
+            throw error;
+        }
+
+        const llave = generarLlave();
+        const result = await pool.query(`
+            INSERT INTO api_keys (nombre, key_hash, prefijo, rol, region_id, grupo_id, sucursal_id, gerente_id, expira_en)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            RETURNING id, nombre, prefijo, rol, region_id, grupo_id, sucursal_id, gerente_id, expira_en, created_at
+        `, [
+            nombre,
+            hashLlave(llave),
+            llave.substring(0, 12),
+            rol,
+            alcance.region_id,
+            alcance.grupo_id,
+            alcance.sucursal_id,
+            alcance.gerente_id,
+            expira_en || null
+        ]);
+
+        return { ...result.rows[0], llave };
+    }
+
+    return {
+        autenticar,
+        crearLlave,
+        // Al revocar una llave no hay que esperar a que expire su cache
+        olvidarLlaves: () => cache.clear()
+    };
+}
+
+function requiereRol(...roles) {
+    return (req, res, next) => {
+        if (!req.auth || !roles.includes(req.auth.rol)) {
+            return res.status(403).json({
+                success: false,
+                error: `Requiere rol: ${roles.join(' o ')}`
+            });
+        }
+        next();
+    };
+}
+
+// Condición SQL que limita una consulta al alcance de quien la hace.
+// columnas: nombres (con alias) de las columnas de sucursal, grupo y región en la consulta.
+// Agrega los valores a params y regresa '' para admin.
+function condicionAlcance(auth, columnas, params) {
+    const filtros = {
+        regional: [columnas.region, auth?.region_id],
+        grupo: [columnas.grupo, auth?.grupo_id],
+        sucursal: [columnas.sucursal, auth?.sucursal_id]
+    };
+
+    if (auth?.rol === 'admin') return '';
+
+    const filtro = filtros[auth?.rol];
+    if (!filtro || !filtro[0] || !filtro[1]) {
+        // Sin alcance configurado (o rol sin acceso a datos) no se regresa nada
+        return ' AND false';
+    }
+
+    params.push(filtro[1]);
+    return ` AND ${filtro[0]} = $${params.length}`;
+}
+
+module.exports = {
+    ROLES,
+    hashLlave,
+    generarLlave,
+    crearAutenticacion,
+    requiereRol,
+    condicionAlcance
+};
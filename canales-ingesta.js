@@ -0,0 +1,161 @@
+// canales-ingesta.js - ADAPTADORES DE LOS CANALES DE QUEJAS
+// Cada adaptador convierte el payload propio del canal en uno o varios objetos planos que
+// después se leen con el perfil de ingesta del canal (perfiles-ingesta.js) y pasan por el
+// mismo análisis que el webhook de Google Sheets. También dan la clave de idempotencia
+// natural de cada mensaje (id del mensaje de WhatsApp, Message-ID del correo, id de la llamada).
+const crypto = require('crypto');
+const { leerCorreo, leerRemitente, limpiarCuerpoCorreo, htmlATexto, mensajesMbox, esMbox } = require('./correo-quejas');
+
+function hashContenido(valor) {
+    const contenido = Buffer.isBuffer(valor) || typeof valor === 'string' ? valor : JSON.stringify(valor);
+    return crypto.createHash('sha256').update(contenido).digest('hex');
+}
+
+// ===== WHATSAPP (Cloud API) =====
+
+// Multimedia sin pie de foto: se recibe como queja con este texto y su media_id, para que
+// alguien la revise (una foto puede ser toda la queja)
+const TEXTO_MEDIA_WHATSAPP = {
+    image: 'Imagen enviada por WhatsApp sin texto',
+    video: 'Video enviado por WhatsApp sin texto',
+    document: 'Documento enviado por WhatsApp sin texto',
+    audio: 'Nota de voz enviada por WhatsApp'
+};
+
+// Texto de cada tipo de mensaje; los tipos sin texto (reacciones, stickers) no son quejas
+function textoMensajeWhatsApp(mensaje) {
+    switch (mensaje.type) {
+        case 'text':
+            return mensaje.text?.body;
+        case 'image':
+        case 'video':
+        case 'document':
+            return mensaje[mensaje.type]?.caption;
+        case 'location':
+            return [mensaje.location?.name, mensaje.location?.address].filter(Boolean).join(', ');
+        case 'button':
+            return mensaje.button?.text;
+        case 'interactive':
+            return mensaje.interactive?.button_reply?.title || mensaje.interactive?.list_reply?.title;
+        default:
+            return null;
+    }
+}
+
+// Notificación de la Cloud API -> { mensajes: [{ clave, datos }], omitidos: [{ message_id, tipo, motivo }] }.
+// Las notificaciones de estado (entregado, leído) no traen mensajes y regresan listas vacías.
+// Una ubicación sin nombre ni dirección no describe ninguna queja (suele acompañar a otro
+// mensaje): se omite, igual que reacciones y stickers, y queda en omitidos
+function mensajesWhatsApp(notificacion) {
+    const mensajes = [];
+    const omitidos = [];
+
+    (notificacion?.entry || []).forEach(entrada => {
+        (entrada.changes || []).forEach(cambio => {
+            const valor = cambio.value || {};
+            const contactos = new Map((valor.contacts || []).map(contacto => [contacto.wa_id, contacto]));
+
+            (valor.messages || []).forEach(mensaje => {
+                const media = mensaje[mensaje.type]?.id && TEXTO_MEDIA_WHATSAPP[mensaje.type] ? mensaje[mensaje.type] : null;
+                const texto = textoMensajeWhatsApp(mensaje) || (media ? TEXTO_MEDIA_WHATSAPP[mensaje.type] : null);
+                if (!texto) {
+                    omitidos.push({
+                        message_id: mensaje.id,
+                        tipo: mensaje.type,
+                        motivo: mensaje.type === 'location' ? 'Ubicación sin nombre ni dirección' : 'Mensaje sin texto'
+                    });
+                    return;
+                }
+
+                mensajes.push({
+                    clave: `whatsapp:${mensaje.id}`,
+                    datos: {
+                        message_id: mensaje.id,
+                        wa_id: mensaje.from,
+                        nombre: contactos.get(mensaje.from)?.profile?.name || null,
+                        texto,
+                        timestamp: mensaje.timestamp,
+                        tipo: mensaje.type,
+                        latitud: mensaje.location?.latitude ?? null,
+                        longitud: mensaje.location?.longitude ?? null,
+                        media_id: media?.id || null,
+                        media_tipo: media?.mime_type || null,
+                        numero_negocio: valor.metadata?.display_phone_number || null
+                    }
+                });
+            });
+        });
+    });
+
+    return { mensajes, omitidos };
+}
+
+// ===== CORREO (ver correo-quejas.js) =====
+
+// Un correo ya leído -> { clave, datos, adjuntos }. Nombre y teléfono salen de la firma;
+// si la firma no trae nombre se usa el del remitente
+function datosCorreo({ remitente, asunto, fecha, message_id, texto, adjuntos }, claveRespaldo) {
+    const { cuerpo, nombre, telefono } = limpiarCuerpoCorreo(texto);
+
+    return {
+        clave: `email:${message_id || hashContenido(claveRespaldo)}`,
+        datos: {
+            message_id: message_id || null,
+            remitente_nombre: nombre || remitente.nombre,
+            remitente_correo: remitente.correo,
+            telefono,
+            asunto: asunto || null,
+            // El asunto suele resumir la queja; se analiza junto con el cuerpo
+            texto: [asunto, cuerpo].filter(Boolean).join('\n\n') || null,
+            fecha: fecha ? fecha.toISOString() : null,
+            adjuntos: adjuntos.map(adjunto => ({ nombre: adjunto.nombre, tipo: adjunto.tipo, bytes: adjunto.contenido.length }))
+        },
+        adjuntos
+    };
+}
+
+// Correo(s) recibidos como mensaje crudo (.eml), archivo mbox, { raw } o ya separados por
+// el servicio de correo entrante ({ from, subject, text, html, date, message_id }) -> [{ clave, datos, adjuntos, crudo }].
+// crudo es el mensaje original de cada correo (para volver a leer sus adjuntos), o null si llegó ya separado
+function correosEntrantes(cuerpo) {
+    const crudo = Buffer.isBuffer(cuerpo) || typeof cuerpo === 'string' ? cuerpo : cuerpo?.raw;
+
+    if (crudo) {
+        const mensajes = esMbox(crudo) ? mensajesMbox(crudo) : [crudo];
+        return mensajes.map(mensaje => ({
+            ...datosCorreo(leerCorreo(mensaje), mensaje),
+            crudo: Buffer.isBuffer(mensaje) ? mensaje : Buffer.from(mensaje, 'utf8')
+        }));
+    }
+
+    const correo = cuerpo || {};
+    const fecha = correo.date ? new Date(correo.date) : null;
+    return [{
+        ...datosCorreo({
+            remitente: leerRemitente(correo.from),
+            asunto: (correo.subject || '').trim(),
+            fecha: fecha && !isNaN(fecha.getTime()) ? fecha : null,
+            message_id: correo.message_id,
+            texto: correo.text || (correo.html ? htmlATexto(correo.html) : ''),
+            adjuntos: []
+        }, correo),
+        crudo: null
+    }];
+}
+
+// ===== CALL CENTER =====
+
+// El sistema del call center envía JSON plano; el id de la llamada evita registrarla dos veces
+function llamadaCallCenter(cuerpo) {
+    const id = cuerpo?.llamada_id ?? cuerpo?.call_id ?? cuerpo?.ticket_id;
+    return {
+        clave: id !== undefined ? `call_center:${id}` : `call_center:${hashContenido(cuerpo || {})}`,
+        datos: cuerpo || {}
+    };
+}
+
+module.exports = {
+    mensajesWhatsApp,
+    correosEntrantes,
+    llamadaCallCenter
+};
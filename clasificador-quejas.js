@@ -0,0 +1,131 @@
+// clasificador-quejas.js - CLASIFICADOR NAIVE BAYES ENTRENADO CON CATEGORÍAS CONFIRMADAS
+const { normalizarTexto, raizPalabra } = require('./similitud-texto');
+
+const PALABRAS_VACIAS = new Set([
+    'el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'de', 'del', 'al', 'a', 'y', 'o', 'e', 'u',
+    'que', 'en', 'es', 'se', 'lo', 'le', 'les', 'me', 'mi', 'mis', 'te', 'tu', 'su', 'sus', 'nos',
+    'por', 'para', 'con', 'sin', 'como', 'pero', 'mas', 'ya', 'muy', 'fue', 'era', 'estaba', 'esta',
+    'este', 'eso', 'esa', 'ese', 'son', 'hay', 'todo', 'toda', 'yo', 'ella', 'ellos', 'cuando', 'porque'
+]);
+
+// Raíces de las palabras con contenido más los pares consecutivos ("mal_cocido")
+function extraerRasgos(texto) {
+    const raices = normalizarTexto(texto)
+        .split(' ')
+        .filter(palabra => palabra.length > 2 && !PALABRAS_VACIAS.has(palabra) && isNaN(palabra))
+        .map(raizPalabra);
+
+    const bigramas = [];
+    for (let i = 0; i + 1 < raices.length; i++) {
+        bigramas.push(`${raices[i]}_${raices[i + 1]}`);
+    }
+
+    return raices.concat(bigramas);
+}
+
+// ejemplos: [{ texto, categoria_id }]
+function entrenar(ejemplos, { alfa = 1 } = {}) {
+    const categorias = {};
+    const vocabulario = new Set();
+
+    ejemplos.forEach(({ texto, categoria_id }) => {
+        if (!categorias[categoria_id]) {
+            categorias[categoria_id] = { documentos: 0, total_rasgos: 0, rasgos: {} };
+        }
+        const categoria = categorias[categoria_id];
+        categoria.documentos++;
+
+        extraerRasgos(texto).forEach(rasgo => {
+            categoria.rasgos[rasgo] = (categoria.rasgos[rasgo] || 0) + 1;
+            categoria.total_rasgos++;
+            vocabulario.add(rasgo);
+        });
+    });
+
+    return {
+        tipo: 'naive_bayes',
+        alfa,
+        total_documentos: ejemplos.length,
+        vocabulario: vocabulario.size,
+        categorias
+    };
+}
+
+// Regresa la categoría más probable y la probabilidad de cada una (suman 1)
+function predecir(modelo, texto) {
+    const ids = Object.keys(modelo?.categorias || {});
+    if (ids.length === 0) return null;
+
+    const rasgos = extraerRasgos(texto);
+    if (rasgos.length === 0) return null;
+
+    const logProbabilidades = ids.map(id => {
+        const categoria = modelo.categorias[id];
+        const denominador = categoria.total_rasgos + modelo.alfa * modelo.vocabulario;
+        let log = Math.log(categoria.documentos / modelo.total_documentos);
+
+        rasgos.forEach(rasgo => {
+            log += Math.log(((categoria.rasgos[rasgo] || 0) + modelo.alfa) / denominador);
+        });
+
+        return log;
+    });
+
+    // Softmax estable
+    const maximo = Math.max(...logProbabilidades);
+    const exponentes = logProbabilidades.map(log => Math.exp(log - maximo));
+    const suma = exponentes.reduce((a, b) => a + b, 0);
+
+    const ranking = ids
+        .map((id, i) => ({ categoria_id: parseInt(id), probabilidad: Math.round((exponentes[i] / suma) * 1000) / 1000 }))
+        .sort((a, b) => b.probabilidad - a.probabilidad);
+
+    return {
+        categoria_id: ranking[0].categoria_id,
+        confianza: ranking[0].probabilidad,
+        ranking: ranking.slice(0, 3)
+    };
+}
+
+function evaluar(modelo, ejemplos) {
+    let aciertos = 0;
+    const porCategoria = {};
+
+    ejemplos.forEach(({ texto, categoria_id }) => {
+        const prediccion = predecir(modelo, texto);
+        const acierto = prediccion && prediccion.categoria_id === parseInt(categoria_id);
+        if (acierto) aciertos++;
+
+        if (!porCategoria[categoria_id]) porCategoria[categoria_id] = { total: 0, aciertos: 0 };
+        porCategoria[categoria_id].total++;
+        if (acierto) porCategoria[categoria_id].aciertos++;
+    });
+
+    return {
+        total: ejemplos.length,
+        aciertos,
+        precision: ejemplos.length > 0 ? Math.round((aciertos / ejemplos.length) * 1000) / 1000 : null,
+        por_categoria: porCategoria
+    };
+}
+
+// Separa siempre los mismos ejemplos para prueba (según su id) para comparar versiones
+function dividirEntrenamientoPrueba(ejemplos, proporcionPrueba = 0.2) {
+    const entrenamiento = [];
+    const prueba = [];
+
+    ejemplos.forEach(ejemplo => {
+        const hash = (Math.imul(parseInt(ejemplo.id), 2654435761) >>> 0) / 4294967296;
+        (hash < proporcionPrueba ? prueba : entrenamiento).push(ejemplo);
+    });
+
+    return { entrenamiento, prueba };
+}
+
+module.exports = {
+    extraerRasgos,
+    entrenar,
+    predecir,
+    evaluar,
+    dividirEntrenamientoPrueba
+};
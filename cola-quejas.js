@@ -0,0 +1,252 @@
+// cola-quejas.js - COLA DE PROCESAMIENTO DE QUEJAS EN POSTGRES
+// Los webhooks solo guardan la carga recibida (cola_quejas) y responden 202; un trabajador
+// del mismo servidor la analiza después (procesarEnTransaccion). Si falla se reintenta con
+// espera exponencial; al agotar los intentos (o ante un error que no se arregla reintentando,
+// status 4xx) el trabajo pasa a quejas_fallidas, desde donde se puede revisar y reprocesar.
+//
+// La clave de idempotencia del webhook es única en la cola: un reenvío del emisor regresa
+// el trabajo existente (o la queja ya creada) en lugar de encolar otro.
+
+const MAX_INTENTOS = parseInt(process.env.COLA_MAX_INTENTOS || '5');
+// Espera antes del reintento n: base * 2^(n-1) segundos, hasta ESPERA_MAXIMA_SEG
+const ESPERA_BASE_SEG = parseInt(process.env.COLA_ESPERA_BASE_SEG || '30');
+const ESPERA_MAXIMA_SEG = 3600;
+// Un trabajo tomado hace más de esto se considera abandonado (el servidor se reinició a medias)
+const BLOQUEO_MINUTOS = 10;
+
+function esperaReintento(intentos) {
+    return Math.min(ESPERA_BASE_SEG * 2 ** (intentos - 1), ESPERA_MAXIMA_SEG);
+}
+
+function crearColaQuejas(pool) {
+    // Regresa { nuevo: true, trabajo } si se encoló, o { nuevo: false, trabajo } con el existente
+    async function encolar({ clave, perfil, datos, crudo = null }) {
+        // Entregas procesadas antes de que existiera la cola
+        const previa = await pool.query(
+            "SELECT queja_id, respuesta FROM webhook_entregas WHERE idempotency_key = $1 AND estado = 'completada'",
+            [clave]
+        );
+        if (previa.rows.length > 0) {
+            return {
+                nuevo: false,
+                trabajo: { id: null, estado: 'completada', queja_id: previa.rows[0].queja_id, resultado: previa.rows[0].respuesta }
+            };
+        }
+
+        const nuevo = await pool.query(`
+            INSERT INTO cola_quejas (idempotency_key, perfil, datos, crudo, max_intentos)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (idempotency_key) DO NOTHING
+            RETURNING id, estado, created_at
+        `, [clave, perfil, JSON.stringify(datos), crudo, MAX_INTENTOS]);
+        if (nuevo.rows.length > 0) return { nuevo: true, trabajo: nuevo.rows[0] };
+
+        // Reenvío de una entrega que terminó en quejas_fallidas: se vuelve a intentar con lo recibido
+        const reenvio = await pool.query(`
+            UPDATE cola_quejas
+            SET estado = 'pendiente', datos = $2, crudo = $3, intentos = 0, reprocesos = reprocesos + 1,
+                proximo_intento = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE idempotency_key = $1 AND estado = 'fallida'
+            RETURNING id, estado, created_at
+        `, [clave, JSON.stringify(datos), crudo]);
+        if (reenvio.rows.length > 0) {
+            await pool.query(`
+                UPDATE quejas_fallidas
+                SET reprocesada_en = CURRENT_TIMESTAMP, reprocesada_por = 'reenvio'
+                WHERE trabajo_id = $1 AND reprocesada_en IS NULL
+            `, [reenvio.rows[0].id]);
+            return { nuevo: true, trabajo: reenvio.rows[0] };
+        }
+
+        const existente = await pool.query(
+            'SELECT id, estado, queja_id, resultado, created_at FROM cola_quejas WHERE idempotency_key = $1',
+            [clave]
+        );
+        return { nuevo: false, trabajo: existente.rows[0] };
+    }
+
+    // Toma el siguiente trabajo listo; SKIP LOCKED permite varios servidores sobre la misma cola
+    async function tomarSiguiente() {
+        const result = await pool.query(`
+            UPDATE cola_quejas
+            SET estado = 'procesando', tomado_en = CURRENT_TIMESTAMP, intentos = intentos + 1, updated_at = CURRENT_TIMESTAMP
+            WHERE id = (
+                SELECT id FROM cola_quejas
+                WHERE (estado = 'pendiente' AND proximo_intento <= CURRENT_TIMESTAMP)
+                   OR (estado = 'procesando' AND tomado_en < CURRENT_TIMESTAMP - INTERVAL '${BLOQUEO_MINUTOS} minutes')
+                ORDER BY proximo_intento, id
+                LIMIT 1
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING *
+        `);
+        return result.rows[0] || null;
+    }
+
+    // La carga ya quedó en quejas.datos_originales; aquí se borra para no duplicar datos personales.
+    // client: el de la transacción que insertó la queja, para que ambas cosas se confirmen juntas
+    async function completar(trabajo, resultado, client = pool) {
+        await client.query(`
+            UPDATE cola_quejas
+            SET estado = 'completada', queja_id = $2, resultado = $3, datos = NULL, crudo = NULL,
+                ultimo_error = NULL, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+        `, [trabajo.id, resultado.queja_id, JSON.stringify(resultado)]);
+    }
+
+    // Ejecuta procesar(client) y marca el trabajo como completado en la misma transacción: si algo
+    // falla no queda ni la queja ni el estado 'completada', y el reintento no duplica la queja.
+    // procesar solo debe escribir (el análisis con IA va antes): el renglón queda bloqueado
+    // mientras tanto y tomarSiguiente (SKIP LOCKED) no se lo entrega a otro trabajador.
+    // Regresa null si el trabajo ya no es de este intento (otro trabajador lo reclamó)
+    async function procesarEnTransaccion(trabajo, procesar) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const vigente = await client.query(`
+                SELECT id FROM cola_quejas
+                WHERE id = $1 AND estado = 'procesando' AND intentos = $2
+                FOR UPDATE SKIP LOCKED
+            `, [trabajo.id, trabajo.intentos]);
+            if (vigente.rows.length === 0) {
+                await client.query('ROLLBACK');
+                console.warn(`⚠️ Trabajo ${trabajo.id} (intento ${trabajo.intentos}) ya lo tomó otro trabajador; se omite`);
+                return null;
+            }
+
+            const resultado = await procesar(client);
+            await completar(trabajo, resultado, client);
+            await client.query('COMMIT');
+            return resultado;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Solo afecta al trabajo si sigue en este mismo intento
+    async function fallar(trabajo, error) {
+        const registro = JSON.stringify([{ intento: trabajo.intentos, error: error.message, fecha: new Date() }]);
+        const definitivo = trabajo.intentos >= trabajo.max_intentos || (error.status >= 400 && error.status < 500);
+
+        if (!definitivo) {
+            const espera = esperaReintento(trabajo.intentos);
+            await pool.query(`
+                UPDATE cola_quejas
+                SET estado = 'pendiente', ultimo_error = $2, errores = errores || $3::jsonb,
+                    proximo_intento = CURRENT_TIMESTAMP + make_interval(secs => $4), updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND estado = 'procesando' AND intentos = $5
+            `, [trabajo.id, error.message, registro, espera, trabajo.intentos]);
+            console.warn(`⏳ Trabajo ${trabajo.id} falló (intento ${trabajo.intentos}/${trabajo.max_intentos}); reintento en ${espera}s: ${error.message}`);
+            return;
+        }
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const actualizado = await client.query(`
+                UPDATE cola_quejas
+                SET estado = 'fallida', ultimo_error = $2, errores = errores || $3::jsonb, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND estado = 'procesando' AND intentos = $4
+                RETURNING idempotency_key, perfil, datos, intentos, errores
+            `, [trabajo.id, error.message, registro, trabajo.intentos]);
+            const fallido = actualizado.rows[0];
+            if (!fallido) {
+                await client.query('ROLLBACK');
+                return;
+            }
+
+            await client.query(`
+                INSERT INTO quejas_fallidas (trabajo_id, idempotency_key, perfil, datos, intentos, ultimo_error, errores)
+                VALUES ($1, $2, $3, $4, $5, $6, $7)
+            `, [trabajo.id, fallido.idempotency_key, fallido.perfil, fallido.datos, fallido.intentos, error.message, JSON.stringify(fallido.errores)]);
+            await client.query('COMMIT');
+        } catch (errorRegistro) {
+            await client.query('ROLLBACK');
+            throw errorRegistro;
+        } finally {
+            client.release();
+        }
+        console.error(`☠️ Trabajo ${trabajo.id} enviado a quejas_fallidas tras ${trabajo.intentos} intento(s): ${error.message}`);
+    }
+
+    // Vuelve a encolar trabajos fallidos (ids = null: todos los que no se han reprocesado)
+    async function reintentarFallidas(ids, usuario) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const fallidas = await client.query(`
+                UPDATE quejas_fallidas
+                SET reprocesada_en = CURRENT_TIMESTAMP, reprocesada_por = $2
+                WHERE reprocesada_en IS NULL
+                AND ($1::int[] IS NULL OR id = ANY($1))
+                RETURNING id, trabajo_id
+            `, [ids, usuario]);
+
+            await client.query(`
+                UPDATE cola_quejas
+                SET estado = 'pendiente', intentos = 0, reprocesos = reprocesos + 1,
+                    proximo_intento = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ANY($1) AND estado = 'fallida'
+            `, [fallidas.rows.map(f => f.trabajo_id)]);
+
+            await client.query('COMMIT');
+            return fallidas.rows;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Procesa la cola en segundo plano: revisa cada intervaloMs y al llamar despertar().
+    // procesar(trabajo) debe completar el trabajo con procesarEnTransaccion
+    function iniciarTrabajador(procesar, intervaloMs) {
+        let ocupado = false;
+
+        async function vaciar() {
+            if (ocupado) return;
+            ocupado = true;
+            try {
+                let trabajo;
+                while ((trabajo = await tomarSiguiente())) {
+                    try {
+                        await procesar(trabajo);
+                    } catch (error) {
+                        await fallar(trabajo, error);
+                    }
+                }
+            } catch (error) {
+                console.error('Error procesando la cola de quejas:', error);
+            } finally {
+                ocupado = false;
+            }
+        }
+
+        const intervalo = setInterval(vaciar, intervaloMs);
+        vaciar();
+
+        return {
+            despertar: () => { vaciar(); },
+            detener: () => clearInterval(intervalo)
+        };
+    }
+
+    return {
+        encolar,
+        tomarSiguiente,
+        completar,
+        procesarEnTransaccion,
+        fallar,
+        reintentarFallidas,
+        iniciarTrabajador
+    };
+}
+
+module.exports = {
+    crearColaQuejas,
+    esperaReintento
+};
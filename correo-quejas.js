@@ -0,0 +1,326 @@
+// correo-quejas.js - LECTURA DE CORREOS CRUDOS (.eml / mbox) DEL BUZÓN DE ATENCIÓN A CLIENTES
+// Decodifica el mensaje MIME (multipart, base64, quoted-printable, charsets y encabezados
+// =?UTF-8?...?=), convierte HTML a texto, quita las respuestas citadas y la firma, y toma de
+// la firma el nombre y teléfono de quien escribe. Los adjuntos se regresan aparte para
+// guardarlos como evidencia de la queja.
+
+// Despedidas después de las cuales suele venir la firma
+const DESPEDIDAS = /^(saludos|atentamente|cordialmente|gracias|muchas gracias|un saludo|quedo (atento|atenta|en espera)|sin m[aá]s por el momento)\b.{0,40}$/i;
+
+// Líneas que inician una respuesta citada o un reenvío
+const INICIOS_CITA = [
+    /^El .+ escribi[oó]:$/i,
+    /^On .+ wrote:$/i,
+    /^-{2,}\s*(Mensaje original|Original Message|Mensaje reenviado|Forwarded message)\s*-{2,}/i,
+    /^_{10,}$/
+];
+// Bloque de encabezados que Outlook agrega al responder ("De: ... Enviado: ...")
+const ENCABEZADO_CITA = /^(De|From):\s.+/i;
+const ENCABEZADO_CITA_SIGUIENTE = /^(Enviado|Sent|Fecha|Date|Para|To):\s/i;
+
+const REGEX_TELEFONO = /(?:\+?52[\s-]?)?(?:1[\s-]?)?\(?\d{2,3}\)?[\s.-]?\d{3,4}[\s.-]?\d{4}/;
+// Fuera de la firma solo cuenta un teléfono con etiqueta ("Tel: ...", "cel. ...", "WhatsApp ...");
+// cualquier otro número de 10 dígitos puede ser un pedido, un folio o una tarjeta
+const ETIQUETA_TELEFONO = /\b(?:tel|tel[eé]fono|cel|celular|m[oó]vil|whats ?app)\b\.?\s*:?\s*/i;
+
+const ENTIDADES_HTML = {
+    nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+    aacute: 'á', eacute: 'é', iacute: 'í', oacute: 'ó', uacute: 'ú', ntilde: 'ñ', uuml: 'ü',
+    Aacute: 'Á', Eacute: 'É', Iacute: 'Í', Oacute: 'Ó', Uacute: 'Ú', Ntilde: 'Ñ', Uuml: 'Ü',
+    iquest: '¿', iexcl: '¡', laquo: '«', raquo: '»', ndash: '–', mdash: '—', hellip: '…'
+};
+
+// ===== DECODIFICACIÓN =====
+
+function decodificarBytes(buffer, charset) {
+    try {
+        return new TextDecoder((charset || 'utf-8').toLowerCase()).decode(buffer);
+    } catch {
+        return new TextDecoder('utf-8').decode(buffer);
+    }
+}
+
+// Trabaja con cadenas "binarias" (latin1, un carácter por byte) para no perder bytes
+function decodificarQuotedPrintable(binario) {
+    const limpio = binario.replace(/=\r?\n/g, '');
+    const bytes = [];
+    for (let i = 0; i < limpio.length; i++) {
+        if (limpio[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(limpio.substring(i + 1, i + 3))) {
+            bytes.push(parseInt(limpio.substring(i + 1, i + 3), 16));
+            i += 2;
+        } else {
+            bytes.push(limpio.charCodeAt(i) & 0xff);
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+function decodificarContenido(binario, codificacion) {
+    switch ((codificacion || '').toLowerCase()) {
+        case 'base64':
+            return Buffer.from(binario.replace(/\s+/g, ''), 'base64');
+        case 'quoted-printable':
+            return decodificarQuotedPrintable(binario);
+        default:
+            return Buffer.from(binario, 'latin1');
+    }
+}
+
+// "=?UTF-8?Q?Queja_sucursal_Centro?=" / "=?iso-8859-1?B?...?=" -> texto
+function decodificarEncabezado(valor) {
+    if (!valor) return valor;
+    return valor
+        .replace(/\?=\s+=\?/g, '?==?')
+        .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (_, charset, tipo, texto) => {
+            const bytes = tipo.toUpperCase() === 'B'
+                ? Buffer.from(texto, 'base64')
+                : decodificarQuotedPrintable(texto.replace(/_/g, ' '));
+            return decodificarBytes(bytes, charset);
+        });
+}
+
+// 'multipart/mixed; boundary="abc"' -> { valor: 'multipart/mixed', parametros: { boundary: 'abc' } }
+function leerParametros(encabezado) {
+    const [valor, ...resto] = (encabezado || '').split(';');
+    const parametros = {};
+    resto.forEach(parte => {
+        const igual = parte.indexOf('=');
+        if (igual < 0) return;
+        let nombre = parte.substring(0, igual).trim().toLowerCase();
+        let texto = parte.substring(igual + 1).trim().replace(/^"(.*)"$/, '$1');
+        // RFC 2231: filename*=UTF-8''Ticket%20de%20compra.pdf
+        if (nombre.endsWith('*')) {
+            nombre = nombre.slice(0, -1);
+            const [, charset, codificado] = texto.match(/^([^']*)'[^']*'(.*)$/) || [null, 'utf-8', texto];
+            texto = decodificarBytes(Buffer.from(codificado.replace(/%([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1'), charset);
+        }
+        parametros[nombre] = decodificarEncabezado(texto);
+    });
+    return { valor: valor.trim().toLowerCase(), parametros };
+}
+
+function separarEncabezados(binario) {
+    const separacion = binario.search(/\r?\n\r?\n/);
+    const bloque = separacion >= 0 ? binario.substring(0, separacion) : binario;
+    const cuerpo = separacion >= 0 ? binario.substring(separacion).replace(/^\r?\n\r?\n/, '') : '';
+
+    const encabezados = {};
+    // Las líneas que empiezan con espacio continúan el encabezado anterior
+    bloque.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(linea => {
+        const dosPuntos = linea.indexOf(':');
+        if (dosPuntos <= 0) return;
+        const nombre = linea.substring(0, dosPuntos).trim().toLowerCase();
+        const valor = linea.substring(dosPuntos + 1).trim();
+        // Encabezados con UTF-8 sin codificar (los clientes modernos lo permiten)
+        if (!(nombre in encabezados)) {
+            encabezados[nombre] = /[^\x00-\x7f]/.test(valor) ? Buffer.from(valor, 'latin1').toString('utf8') : valor;
+        }
+    });
+
+    return { encabezados, cuerpo };
+}
+
+// Recorre las partes MIME; junta el primer text/plain, el primer text/html y los adjuntos
+function recorrerParte(binario, resultado) {
+    const { encabezados, cuerpo } = separarEncabezados(binario);
+    const tipo = leerParametros(encabezados['content-type'] || 'text/plain');
+    const disposicion = leerParametros(encabezados['content-disposition'] || '');
+
+    if (tipo.valor.startsWith('multipart/') && tipo.parametros.boundary) {
+        const limite = `--${tipo.parametros.boundary}`;
+        cuerpo.split(limite).slice(1).forEach(parte => {
+            if (parte.startsWith('--')) return; // cierre del multipart
+            recorrerParte(parte.replace(/^\r?\n/, ''), resultado);
+        });
+        return;
+    }
+
+    // Un correo reenviado como adjunto es evidencia, no el texto de la queja
+    const nombreArchivo = disposicion.parametros.filename || tipo.parametros.name;
+    const esAdjunto = disposicion.valor === 'attachment' || (nombreArchivo && !tipo.valor.startsWith('text/'));
+    const contenido = decodificarContenido(cuerpo, encabezados['content-transfer-encoding']);
+
+    if (!esAdjunto && tipo.valor === 'text/plain' && resultado.texto === null) {
+        resultado.texto = decodificarBytes(contenido, tipo.parametros.charset);
+    } else if (!esAdjunto && tipo.valor === 'text/html' && resultado.html === null) {
+        resultado.html = decodificarBytes(contenido, tipo.parametros.charset);
+    } else if (contenido.length > 0) {
+        resultado.adjuntos.push({
+            nombre: nombreArchivo || `adjunto-${resultado.adjuntos.length + 1}`,
+            tipo: tipo.valor,
+            contenido,
+            en_linea: disposicion.valor === 'inline'
+        });
+    }
+}
+
+// ===== TEXTO =====
+
+function htmlATexto(html) {
+    return html
+        .replace(/<(head|style|script)[^>]*>[\s\S]*?<\/\1>/gi, '')
+        // Respuestas citadas de Gmail y otros clientes
+        .replace(/<blockquote[^>]*>[\s\S]*?<\/blockquote>/gi, '')
+        .replace(/<div[^>]*class="?gmail_quote[\s\S]*$/i, '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (entidad, codigo) => {
+            if (codigo[0] === '#') {
+                const numero = codigo[1].toLowerCase() === 'x' ? parseInt(codigo.substring(2), 16) : parseInt(codigo.substring(1), 10);
+                return isNaN(numero) ? entidad : String.fromCodePoint(numero);
+            }
+            return ENTIDADES_HTML[codigo] ?? entidad;
+        })
+        .replace(/[ \t\u00a0]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// Corta el texto donde empieza la respuesta citada o el mensaje reenviado
+function quitarRespuestasCitadas(texto) {
+    const lineas = texto.split('\n');
+    const conservadas = [];
+
+    for (let i = 0; i < lineas.length; i++) {
+        const linea = lineas[i].trim();
+        // "El lun, 15 ene 2024 a las 10:00, Juan <juan@correo.com>\nescribió:" ocupa a veces dos líneas
+        const conSiguiente = `${linea} ${(lineas[i + 1] || '').trim()}`;
+
+        if (INICIOS_CITA.some(regex => regex.test(linea) || regex.test(conSiguiente))) break;
+        if (ENCABEZADO_CITA.test(linea) && lineas.slice(i + 1, i + 4).some(l => ENCABEZADO_CITA_SIGUIENTE.test(l.trim()))) break;
+        if (linea.startsWith('>')) continue;
+
+        conservadas.push(lineas[i]);
+    }
+
+    return conservadas.join('\n').trim();
+}
+
+// Separa la firma: después de "-- ", después de una despedida, o un bloque final corto con teléfono
+function separarFirma(texto) {
+    const lineas = texto.split('\n');
+
+    const delimitador = lineas.findIndex(linea => linea === '-- ' || linea.trim() === '--');
+    if (delimitador >= 0) {
+        return { cuerpo: lineas.slice(0, delimitador).join('\n').trim(), firma: lineas.slice(delimitador + 1).join('\n').trim() };
+    }
+
+    for (let i = lineas.length - 1; i >= Math.max(0, lineas.length - 8); i--) {
+        if (DESPEDIDAS.test(lineas[i].trim())) {
+            return { cuerpo: lineas.slice(0, i).join('\n').trim(), firma: lineas.slice(i + 1).join('\n').trim() };
+        }
+    }
+
+    const ultimoBloque = texto.lastIndexOf('\n\n');
+    if (ultimoBloque > 0) {
+        const bloque = texto.substring(ultimoBloque + 2).split('\n');
+        if (bloque.length <= 4 && bloque.every(linea => linea.length <= 60) && REGEX_TELEFONO.test(bloque.join(' '))) {
+            return { cuerpo: texto.substring(0, ultimoBloque).trim(), firma: bloque.join('\n').trim() };
+        }
+    }
+
+    return { cuerpo: texto.trim(), firma: '' };
+}
+
+// Nombre (primera línea que parece nombre de persona) y teléfono de la firma
+function datosFirma(firma) {
+    const lineas = firma.split('\n').map(linea => linea.trim()).filter(Boolean);
+
+    const nombre = lineas.find(linea =>
+        /^[A-Za-zÁÉÍÓÚÜÑáéíóúüñ.' ]{3,60}$/.test(linea) &&
+        linea.split(/\s+/).length >= 2 && linea.split(/\s+/).length <= 5 &&
+        !/\b(tel|cel|whatsapp|correo|email)\b/i.test(linea)
+    ) || null;
+
+    const telefono = firma.match(REGEX_TELEFONO);
+    return { nombre, telefono: telefono ? telefono[0] : null };
+}
+
+// Primer teléfono que sigue a una etiqueta, o null
+function telefonoEtiquetado(texto) {
+    for (const linea of texto.split('\n')) {
+        const etiqueta = linea.match(ETIQUETA_TELEFONO);
+        if (!etiqueta) continue;
+        const telefono = linea.substring(etiqueta.index + etiqueta[0].length).match(REGEX_TELEFONO);
+        if (telefono && telefono.index === 0) return telefono[0];
+    }
+    return null;
+}
+
+// ===== MENSAJES =====
+
+// "Juan Pérez <juan@correo.com>" -> { nombre, correo }
+function leerRemitente(valor) {
+    const texto = decodificarEncabezado(String(valor || '')).trim();
+    const conNombre = texto.match(/^"?([^"<]*?)"?\s*<([^>]+)>$/);
+    if (conNombre) return { nombre: conNombre[1].trim() || null, correo: conNombre[2].trim() };
+    return { nombre: null, correo: texto || null };
+}
+
+// Correo crudo (Buffer o texto) -> { encabezados, asunto, remitente, fecha, message_id, texto, adjuntos }
+function leerCorreo(crudo) {
+    const binario = Buffer.isBuffer(crudo) ? crudo.toString('latin1') : Buffer.from(String(crudo), 'utf8').toString('latin1');
+    const resultado = { texto: null, html: null, adjuntos: [] };
+    recorrerParte(binario, resultado);
+
+    const { encabezados } = separarEncabezados(binario);
+    const fecha = encabezados.date ? new Date(encabezados.date) : null;
+
+    return {
+        encabezados,
+        asunto: decodificarEncabezado(encabezados.subject) || null,
+        remitente: leerRemitente(encabezados.from),
+        fecha: fecha && !isNaN(fecha.getTime()) ? fecha : null,
+        message_id: encabezados['message-id'] || null,
+        texto: resultado.texto ?? (resultado.html !== null ? htmlATexto(resultado.html) : ''),
+        html: resultado.html,
+        adjuntos: resultado.adjuntos
+    };
+}
+
+// Texto de la queja sin citas ni firma, con el nombre y teléfono de la firma
+function limpiarCuerpoCorreo(texto) {
+    const sinCitas = quitarRespuestasCitadas(String(texto || '').replace(/\r\n/g, '\n'));
+    const { cuerpo, firma } = separarFirma(sinCitas);
+    const firmante = datosFirma(firma);
+
+    // Si la firma no trae teléfono, se busca una línea etiquetada en el resto del mensaje
+    return {
+        cuerpo,
+        firma: firma || null,
+        nombre: firmante.nombre,
+        telefono: firmante.telefono || telefonoEtiquetado(cuerpo)
+    };
+}
+
+// Archivo mbox -> mensajes crudos. Cada mensaje empieza con una línea "From " al inicio del
+// archivo o después de una línea vacía; ">From " dentro del mensaje es un "From " escapado (mboxrd)
+function mensajesMbox(contenido) {
+    const binario = Buffer.isBuffer(contenido) ? contenido.toString('latin1') : Buffer.from(String(contenido), 'utf8').toString('latin1');
+
+    return binario
+        .split(/(?:^|\r?\n\r?\n)From [^\r\n]*\r?\n/)
+        .map(mensaje => mensaje.replace(/^>(>*From )/gm, '$1'))
+        .filter(mensaje => mensaje.trim().length > 0)
+        .map(mensaje => Buffer.from(mensaje, 'latin1'));
+}
+
+function esMbox(contenido) {
+    const inicio = (Buffer.isBuffer(contenido) ? contenido.subarray(0, 5).toString('latin1') : String(contenido).substring(0, 5));
+    return inicio === 'From ';
+}
+
+module.exports = {
+    decodificarEncabezado,
+    htmlATexto,
+    quitarRespuestasCitadas,
+    separarFirma,
+    datosFirma,
+    leerRemitente,
+    leerCorreo,
+    limpiarCuerpoCorreo,
+    mensajesMbox,
+    esMbox
+};
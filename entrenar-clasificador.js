@@ -0,0 +1,78 @@
+// entrenar-clasificador.js - REENTRENA EL CLASIFICADOR CON CATEGORÍAS CONFIRMADAS POR HUMANOS
+require('dotenv').config();
+const { Pool } = require('pg');
+const { entrenar, evaluar, dividirEntrenamientoPrueba } = require('./clasificador-quejas');
+
+const pool = new Pool({
+    connectionString: process.env.NEON_DATABASE_URL,
+    ssl: { rejectUnauthorized: false }
+});
+
+// Con menos ejemplos el modelo no es confiable
+const EJEMPLOS_MINIMOS = parseInt(process.env.CLASIFICADOR_EJEMPLOS_MINIMOS || '30');
+
+console.log('🎓 Reentrenando clasificador de quejas...');
+
+async function entrenarClasificador() {
+    const client = await pool.connect();
+
+    try {
+        const result = await client.query(`
+            SELECT q.id, q.descripcion as texto, q.categoria_id
+            FROM quejas q
+            JOIN categorias_quejas c ON q.categoria_id = c.id
+            WHERE q.categoria_confirmada = true
+            AND c.activa = true
+            ORDER BY q.id
+        `);
+
+        const ejemplos = result.rows;
+        console.log(`📚 Ejemplos confirmados: ${ejemplos.length}`);
+
+        if (ejemplos.length < EJEMPLOS_MINIMOS) {
+            console.log(`⚠️ Se necesitan al menos ${EJEMPLOS_MINIMOS} quejas con categoría confirmada; no se generó modelo`);
+            process.exitCode = 1;
+            return;
+        }
+
+        // Precisión medida con un modelo que no vio los ejemplos de prueba
+        const { entrenamiento, prueba } = dividirEntrenamientoPrueba(ejemplos);
+        const evaluacion = evaluar(entrenar(entrenamiento), prueba);
+
+        // El modelo que se publica usa todos los ejemplos
+        const modelo = entrenar(ejemplos);
+
+        await client.query('BEGIN');
+        await client.query('UPDATE modelos_clasificador SET activo = false WHERE activo = true');
+        const version = await client.query(`
+            INSERT INTO modelos_clasificador (
+                tipo, modelo, ejemplos_entrenamiento, ejemplos_prueba, precision_holdout, evaluacion, activo
+            ) VALUES ($1, $2, $3, $4, $5, $6, true)
+            RETURNING version
+        `, [
+            modelo.tipo,
+            JSON.stringify(modelo),
+            // Con cuántos ejemplos se entrenó el modelo publicado (todos, no solo la parte de entrenamiento)
+            ejemplos.length,
+            prueba.length,
+            evaluacion.precision,
+            JSON.stringify(evaluacion)
+        ]);
+        await client.query('COMMIT');
+
+        console.log(`✅ Modelo v${version.rows[0].version} publicado`);
+        console.log(`   Entrenado con ${ejemplos.length} ejemplos (evaluación: ${entrenamiento.length} de entrenamiento / ${prueba.length} de prueba)`);
+        console.log(`   Precisión en prueba: ${evaluacion.precision !== null ? Math.round(evaluacion.precision * 100) + '%' : 'sin datos de prueba'}`);
+        console.log('   Recargue los caches del servidor (POST /api/caches/recargar) para usarlo');
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('❌ Error entrenando clasificador:', error);
+        process.exitCode = 1;
+    } finally {
+        client.release();
+        await pool.end();
+    }
+}
+
+entrenarClasificador();
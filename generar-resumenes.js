@@ -0,0 +1,94 @@
+// generar-resumenes.js - LLENA quejas.resumen_ia EN QUEJAS HISTÓRICAS
+// Uso: node generar-resumenes.js [--todas]   (--todas regenera también los que ya tienen resumen)
+require('dotenv').config();
+const { Pool } = require('pg');
+const { generarResumen } = require('./resumen-ia');
+const { analizarSentimiento } = require('./sentimiento-ia');
+
+const pool = new Pool({
+    connectionString: process.env.NEON_DATABASE_URL,
+    ssl: { rejectUnauthorized: false }
+});
+
+const TAMANO_LOTE = parseInt(process.env.RESUMENES_TAMANO_LOTE || '200');
+const REGENERAR_TODAS = process.argv.includes('--todas');
+
+console.log(`📝 Generando resúmenes de quejas${REGENERAR_TODAS ? ' (todas)' : ' (solo las que no tienen)'}...`);
+
+async function generarResumenes() {
+    const client = await pool.connect();
+    let ultimoId = 0;
+    let actualizadas = 0;
+
+    try {
+        while (true) {
+            const lote = await client.query(`
+                SELECT
+                    q.id,
+                    q.descripcion,
+                    q.palabras_clave,
+                    q.analisis_ia->'sentimiento'->'terminos' as terminos,
+                    q.analisis_ia->'categoria'->>'keyword_encontrada' as keyword,
+                    cat.nombre as categoria,
+                    subcat.nombre as subcategoria,
+                    s.nombre as sucursal
+                FROM quejas q
+                LEFT JOIN categorias_quejas cat ON q.categoria_id = cat.id
+                LEFT JOIN subcategorias_quejas subcat ON q.subcategoria_id = subcat.id
+                LEFT JOIN sucursales s ON q.sucursal_id = s.id
+                WHERE q.id > $1
+                AND ($2 OR q.resumen_ia IS NULL)
+                ORDER BY q.id
+                LIMIT $3
+            `, [ultimoId, REGENERAR_TODAS, TAMANO_LOTE]);
+
+            if (lote.rows.length === 0) break;
+
+            const ids = [];
+            const resumenes = [];
+
+            lote.rows.forEach(queja => {
+                // Quejas anteriores al léxico no guardaron términos; se recalculan con el léxico base
+                const terminos = Array.isArray(queja.terminos)
+                    ? queja.terminos
+                    : analizarSentimiento(queja.descripcion || '').terminos;
+
+                const resumen = generarResumen(queja.descripcion, {
+                    categoria: queja.categoria,
+                    subcategoria: queja.subcategoria,
+                    sucursal: queja.sucursal,
+                    terminos: terminos.map(t => t.termino),
+                    palabras_clave: [queja.keyword, ...(queja.palabras_clave || [])].filter(Boolean)
+                });
+
+                if (resumen) {
+                    ids.push(queja.id);
+                    resumenes.push(resumen);
+                }
+            });
+
+            // Cada lote se confirma por separado; si algo falla se puede volver a correr
+            await client.query(`
+                UPDATE quejas q
+                SET resumen_ia = datos.resumen
+                FROM unnest($1::int[], $2::text[]) AS datos(id, resumen)
+                WHERE q.id = datos.id
+            `, [ids, resumenes]);
+
+            actualizadas += ids.length;
+            ultimoId = lote.rows[lote.rows.length - 1].id;
+            console.log(`   ... ${actualizadas} resúmenes generados (hasta queja ${ultimoId})`);
+        }
+
+        console.log(`✅ Resúmenes generados: ${actualizadas}`);
+
+    } catch (error) {
+        console.error('❌ Error generando resúmenes:', error);
+        process.exitCode = 1;
+    } finally {
+        client.release();
+        await pool.end();
+    }
+}
+
+generarResumenes();
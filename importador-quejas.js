@@ -0,0 +1,333 @@
+// importador-quejas.js - IMPORTACIÓN MASIVA DE QUEJAS HISTÓRICAS (CSV / XLSX)
+// Cada fila pasa por el mismo análisis que el webhook, con el perfil de ingesta indicado
+// (por defecto el de Google Sheets). Las filas se confirman por lotes;
+// dentro del lote cada fila tiene su SAVEPOINT, así una fila con error no deshace las demás.
+// Las filas del lote se analizan antes de abrir su transacción, que solo inserta.
+// Las filas ya importadas (mismo contenido) se reconocen y no se vuelven a insertar.
+// Cada fila queda en sync_logs con su resultado y tiempos (ver registro-ingesta.js).
+// En simulación (dryRun) el análisis usa solo las reglas locales, sin el proveedor de IA.
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const { aplicarPerfil } = require('./perfiles-ingesta');
+const { crearRegistroIngesta, milisegundosDesde } = require('./registro-ingesta');
+
+const TAMANO_LOTE = 100;
+// Límites de un archivo importado; más filas o columnas se rechazan (status 400)
+const MAX_FILAS = parseInt(process.env.IMPORTAR_MAX_FILAS || '100000');
+const MAX_COLUMNAS = 100;
+
+function errorLimite(mensaje) {
+    const error = new Error(mensaje);
+    error.status = 400;
+    return error;
+}
+
+function detectarFormato(nombreArchivo, tipoContenido = '') {
+    const extension = path.extname(nombreArchivo || '').toLowerCase();
+    if (extension === '.xlsx' || tipoContenido.includes('spreadsheetml')) return 'xlsx';
+    if (extension === '.xls' || tipoContenido.includes('ms-excel')) return 'xls';
+    return 'csv';
+}
+
+// Separa una línea CSV respetando comillas ("a, b" y "" como comilla literal)
+function partirLineaCSV(linea, separador) {
+    const campos = [];
+    let actual = '';
+    let entreComillas = false;
+
+    for (let i = 0; i < linea.length; i++) {
+        const caracter = linea[i];
+        if (entreComillas) {
+            if (caracter === '"' && linea[i + 1] === '"') {
+                actual += '"';
+                i++;
+            } else if (caracter === '"') {
+                entreComillas = false;
+            } else {
+                actual += caracter;
+            }
+        } else if (caracter === '"') {
+            entreComillas = true;
+        } else if (caracter === separador) {
+            campos.push(actual);
+            actual = '';
+        } else {
+            actual += caracter;
+        }
+    }
+    campos.push(actual);
+    return campos;
+}
+
+// Lee el CSV línea por línea (sin cargarlo completo); una fila puede ocupar varias líneas
+// si la descripción trae saltos de línea entre comillas
+async function* filasCSV(flujo) {
+    const lineas = readline.createInterface({ input: flujo, crlfDelay: Infinity });
+    let encabezados = null;
+    let separador = ',';
+    let pendiente = null;
+    let numeroLinea = 0;
+    let inicioFila = 0;
+
+    for await (const linea of lineas) {
+        numeroLinea++;
+        const texto = pendiente !== null ? `${pendiente}\n${linea}` : linea;
+        if (pendiente === null) inicioFila = numeroLinea;
+
+        // Comillas sin cerrar: la fila sigue en la siguiente línea
+        if ((texto.match(/"/g) || []).length % 2 === 1) {
+            pendiente = texto;
+            continue;
+        }
+        pendiente = null;
+
+        if (!encabezados) {
+            const limpio = texto.replace(/^\uFEFF/, '');
+            separador = [',', ';', '\t'].reduce((mejor, sep) =>
+                limpio.split(sep).length > limpio.split(mejor).length ? sep : mejor, ',');
+            encabezados = partirLineaCSV(limpio, separador).map(e => e.trim());
+            if (encabezados.length > MAX_COLUMNAS) throw errorLimite(`El archivo supera el máximo de ${MAX_COLUMNAS} columnas`);
+            continue;
+        }
+
+        if (numeroLinea > MAX_FILAS + 1) throw errorLimite(`El archivo supera el máximo de ${MAX_FILAS} filas`);
+
+        const valores = partirLineaCSV(texto, separador);
+        const datos = {};
+        encabezados.forEach((encabezado, i) => {
+            if (encabezado) datos[encabezado] = (valores[i] ?? '').trim();
+        });
+        yield { fila: inicioFila, datos };
+    }
+}
+
+// Valor de una celda de exceljs como texto (las fechas se quedan como Date)
+function valorCelda(valor) {
+    if (valor === null || valor === undefined) return '';
+    if (valor instanceof Date) return valor;
+    if (typeof valor !== 'object') return String(valor).trim();
+    if (valor.richText) return valor.richText.map(parte => parte.text).join('').trim();
+    if (valor.result !== undefined) return valorCelda(valor.result); // fórmula
+    if (valor.text !== undefined) return valorCelda(valor.text); // hipervínculo
+    return '';
+}
+
+// Lee la primera hoja fila por fila (sin cargar el libro completo en memoria)
+async function* filasXLSX(flujo) {
+    const libro = new ExcelJS.stream.xlsx.WorkbookReader(flujo, {
+        sharedStrings: 'cache',
+        hyperlinks: 'ignore',
+        styles: 'cache', // sin estilos las fechas llegarían como número de serie
+        worksheets: 'emit'
+    });
+
+    for await (const hoja of libro) {
+        let encabezados = null;
+
+        for await (const renglon of hoja) {
+            // values empieza en el índice 1 (columna A)
+            const valores = renglon.values.slice(1);
+            if (valores.length > MAX_COLUMNAS) throw errorLimite(`El archivo supera el máximo de ${MAX_COLUMNAS} columnas`);
+
+            if (!encabezados) {
+                encabezados = Array.from(valores, valor => String(valorCelda(valor)));
+                continue;
+            }
+            if (renglon.number > MAX_FILAS + 1) throw errorLimite(`El archivo supera el máximo de ${MAX_FILAS} filas`);
+
+            // Teléfonos y otros números llegan como number; el análisis espera texto
+            const datos = {};
+            encabezados.forEach((encabezado, i) => {
+                if (encabezado) datos[encabezado] = valorCelda(valores[i]);
+            });
+            yield { fila: renglon.number, datos }; // mismo número que en la hoja
+        }
+        return; // solo la primera hoja
+    }
+}
+
+// origen: ruta del archivo o Buffer (endpoint)
+function leerFilas(origen, formato) {
+    if (formato === 'xls') {
+        throw errorLimite('El formato .xls no es compatible; guarde el archivo como .xlsx o .csv');
+    }
+    const flujo = Buffer.isBuffer(origen) ? Readable.from(origen) : fs.createReadStream(origen);
+    return formato === 'xlsx' ? filasXLSX(flujo) : filasCSV(flujo);
+}
+
+// Valida la fila; regresa el mensaje de error o null. En el webhook una fecha ilegible
+// se reemplaza por la fecha de recepción, pero en datos históricos eso falsearía la fecha
+function prepararFila(datos, perfil) {
+    if (Object.values(datos).every(valor => valor === '' || valor === null)) {
+        return 'Fila vacía';
+    }
+
+    const { fecha_invalida } = aplicarPerfil(datos, perfil);
+    if (fecha_invalida !== null) {
+        return `Fecha inválida para el formato ${perfil.formato_fecha || 'auto'}: ${fecha_invalida}`;
+    }
+
+    return null;
+}
+
+function claveFila(datos) {
+    return 'importacion:' + crypto.createHash('sha256').update(JSON.stringify(datos)).digest('hex');
+}
+
+async function procesarLote(analizador, pool, lote, perfil, dryRun, reporte) {
+    const resultados = [];
+    // Tiempos de cada fila para sync_logs (ver registro-ingesta.js), fuera del reporte
+    const mediciones = new Map();
+    const anotar = (resultado, tiempos, milisegundos) => {
+        resultados.push(resultado);
+        mediciones.set(resultado, { tiempos, total_ms: milisegundos });
+    };
+
+    // Primero se analiza cada fila (el proveedor de IA puede tardar) sin transacción abierta
+    const analizadas = [];
+    for (const { fila, datos } of lote) {
+        const inicio = performance.now();
+        const tiempos = {};
+
+        const clave = claveFila(datos);
+        const error = prepararFila(datos, perfil);
+        if (error) {
+            anotar({ fila, estado: error === 'Fila vacía' ? 'omitida' : 'error', error }, tiempos, milisegundosDesde(inicio));
+            continue;
+        }
+
+        const previa = await pool.query(
+            "SELECT queja_id FROM webhook_entregas WHERE idempotency_key = $1 AND estado = 'completada'",
+            [clave]
+        );
+        if (previa.rows.length > 0) {
+            anotar({ fila, estado: 'ya_importada', queja_id: previa.rows[0].queja_id }, tiempos, milisegundosDesde(inicio));
+            continue;
+        }
+
+        try {
+            const analisis = await analizador.analizarQueja(datos, perfil, { tiempos, soloReglas: dryRun });
+            analizadas.push({ fila, datos, clave, analisis, tiempos, milisegundos: milisegundosDesde(inicio) });
+        } catch (errorFila) {
+            anotar({ fila, estado: 'error', error: errorFila.message }, tiempos, milisegundosDesde(inicio));
+        }
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        for (const { fila, datos, clave, analisis, tiempos, milisegundos } of analizadas) {
+            const inicio = performance.now();
+            const duracion = () => milisegundos + milisegundosDesde(inicio);
+
+            // La misma fila repetida dentro del lote
+            const previa = await client.query(
+                "SELECT queja_id FROM webhook_entregas WHERE idempotency_key = $1 AND estado = 'completada'",
+                [clave]
+            );
+            if (previa.rows.length > 0) {
+                anotar({ fila, estado: 'ya_importada', queja_id: previa.rows[0].queja_id }, tiempos, duracion());
+                continue;
+            }
+
+            await client.query('SAVEPOINT fila');
+            try {
+                const resultado = await analizador.insertarQueja(client, datos, perfil, analisis, { tiempos });
+                await client.query(`
+                    INSERT INTO webhook_entregas (idempotency_key, estado, queja_id, respuesta)
+                    VALUES ($1, 'completada', $2, $3)
+                `, [clave, resultado.queja_id, JSON.stringify(resultado)]);
+                await client.query('RELEASE SAVEPOINT fila');
+
+                anotar({
+                    fila,
+                    estado: dryRun ? 'valida' : 'importada',
+                    queja_id: dryRun ? null : resultado.queja_id,
+                    sentimiento: resultado.analisis.sentimiento,
+                    categoria: resultado.analisis.categoria,
+                    sucursal: resultado.analisis.sucursal,
+                    duplicada_de: resultado.duplicado?.queja_padre_id ?? null
+                }, tiempos, duracion());
+            } catch (errorFila) {
+                await client.query('ROLLBACK TO SAVEPOINT fila');
+                anotar({ fila, estado: 'error', error: errorFila.message }, tiempos, duracion());
+            }
+        }
+
+        // En simulación todo se analiza e inserta para validar, y luego se deshace
+        await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        // Si falla el lote completo, ninguna de sus filas quedó guardada
+        resultados.forEach(resultado => {
+            if (resultado.estado === 'importada') {
+                Object.assign(resultado, { estado: 'error', queja_id: null, error: `Lote no confirmado: ${error.message}` });
+            }
+        });
+    } finally {
+        client.release();
+    }
+
+    // En el reporte, en el orden del archivo
+    resultados.sort((a, b) => a.fila - b.fila);
+    resultados.forEach(resultado => {
+        reporte.filas.push(resultado);
+        reporte.resumen[resultado.estado] = (reporte.resumen[resultado.estado] || 0) + 1;
+        if (resultado.duplicada_de) reporte.resumen.duplicadas++;
+    });
+    reporte.resumen.total += lote.length;
+
+    // Una simulación no ingiere nada: no cuenta para las métricas de ingesta
+    if (dryRun) return;
+
+    await crearRegistroIngesta(pool).registrar(resultados.map(resultado => ({
+        tipo: 'importacion',
+        canal: perfil.canal_origen,
+        resultado: resultado.estado,
+        error: resultado.error,
+        queja_id: resultado.queja_id,
+        ...mediciones.get(resultado),
+        datos: { fila: resultado.fila, perfil: perfil.nombre }
+    })));
+}
+
+// filas: iterable (o async iterable) de { fila, datos }; perfil: nombre del perfil de ingesta
+async function importarFilas({ analizador, pool, filas, perfil: nombrePerfil = null, dryRun = false, tamanoLote = TAMANO_LOTE, alTerminarLote = null }) {
+    const perfil = analizador.obtenerPerfil(nombrePerfil);
+    const reporte = {
+        dry_run: dryRun,
+        perfil: perfil.nombre,
+        resumen: { total: 0, duplicadas: 0 },
+        filas: []
+    };
+
+    let lote = [];
+    for await (const fila of filas) {
+        lote.push(fila);
+        if (lote.length >= tamanoLote) {
+            await procesarLote(analizador, pool, lote, perfil, dryRun, reporte);
+            lote = [];
+            if (alTerminarLote) alTerminarLote(reporte.resumen);
+        }
+    }
+    if (lote.length > 0) {
+        await procesarLote(analizador, pool, lote, perfil, dryRun, reporte);
+        if (alTerminarLote) alTerminarLote(reporte.resumen);
+    }
+
+    return reporte;
+}
+
+module.exports = {
+    TAMANO_LOTE,
+    detectarFormato,
+    leerFilas,
+    importarFilas,
+    partirLineaCSV
+};
@@ -0,0 +1,67 @@
+// importar-quejas.js - IMPORTA UN CSV O XLSX HISTÓRICO DE QUEJAS
+// Uso: node importar-quejas.js <archivo> [--dry-run] [--perfil=nombre] [--lote=N] [--reporte=ruta.json]
+//   --dry-run   analiza y valida todas las filas sin guardar nada
+//   --perfil    perfil de ingesta de las columnas (por defecto google_sheets)
+//   --lote=N    filas por transacción (por defecto 100)
+//   --reporte   guarda el resultado fila por fila en un JSON
+const fs = require('fs');
+const { analizador, pool } = require('./server-ai');
+const { detectarFormato, leerFilas, importarFilas, TAMANO_LOTE } = require('./importador-quejas');
+
+const argumentos = process.argv.slice(2);
+const archivo = argumentos.find(arg => !arg.startsWith('--'));
+const opcion = nombre => argumentos.find(arg => arg.startsWith(`--${nombre}=`))?.split('=')[1];
+
+const DRY_RUN = argumentos.includes('--dry-run');
+const PERFIL = opcion('perfil') || null;
+const TAMANO = parseInt(opcion('lote')) || TAMANO_LOTE;
+const RUTA_REPORTE = opcion('reporte');
+
+async function importar() {
+    if (!archivo || !fs.existsSync(archivo)) {
+        console.error('Uso: node importar-quejas.js <archivo.csv|archivo.xlsx> [--dry-run] [--perfil=nombre] [--lote=N] [--reporte=ruta.json]');
+        process.exitCode = 1;
+        await pool.end();
+        return;
+    }
+
+    const formato = detectarFormato(archivo);
+    console.log(`📥 Importando ${archivo} (${formato})${DRY_RUN ? ' en modo simulación' : ''}, lotes de ${TAMANO}...`);
+
+    try {
+        await analizador.cargarCaches();
+
+        const reporte = await importarFilas({
+            analizador,
+            pool,
+            filas: leerFilas(archivo, formato),
+            perfil: PERFIL,
+            dryRun: DRY_RUN,
+            tamanoLote: TAMANO,
+            alTerminarLote: resumen => console.log(`   ... ${resumen.total} filas procesadas`)
+        });
+
+        const { total, duplicadas, ...porEstado } = reporte.resumen;
+        console.log(`✅ Filas: ${total} | duplicadas: ${duplicadas}`);
+        Object.entries(porEstado).forEach(([estado, cantidad]) => console.log(`   ${estado}: ${cantidad}`));
+
+        const errores = reporte.filas.filter(fila => fila.estado === 'error');
+        errores.slice(0, 20).forEach(fila => console.log(`   ❌ Fila ${fila.fila}: ${fila.error}`));
+        if (errores.length > 20) console.log(`   ... y ${errores.length - 20} errores más`);
+
+        if (RUTA_REPORTE) {
+            fs.writeFileSync(RUTA_REPORTE, JSON.stringify(reporte, null, 2));
+            console.log(`📄 Reporte guardado en ${RUTA_REPORTE}`);
+        }
+
+        if (errores.length > 0) process.exitCode = 1;
+
+    } catch (error) {
+        console.error('❌ Error importando quejas:', error);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+importar();
@@ -0,0 +1,236 @@
+// perfiles-ingesta.js - PERFILES DE INGESTA POR CANAL
+// Un perfil (tabla perfiles_ingesta) traduce los campos que envía un canal a la queja canónica:
+//   campos:          { campo canónico: [nombres en el origen, en orden de preferencia] }
+//                    un nombre con puntos ("contacto.telefono") se busca dentro de objetos anidados
+//   formato_fecha:   'auto' (día primero o ISO), 'iso', 'epoch', 'epoch_ms' o un patrón
+//                    con DD, MM, YYYY, YY, HH, mm y ss (p. ej. 'MM/DD/YYYY HH:mm')
+//   valores_defecto: { campo canónico: valor } cuando el origen no lo trae
+//   canal_origen:    lo que se guarda en quejas.canal_origen
+// Los campos del origen que ningún perfil usa se conservan en datos_originales.
+
+const CAMPOS_CANONICOS = ['nombre', 'telefono', 'descripcion', 'sucursal', 'fecha_creacion', 'lat', 'lng', 'codigo_postal'];
+
+// Los nombres que aceptaba normalizarDatos antes de los perfiles (formulario de Google Sheets)
+const PERFIL_PREDETERMINADO = {
+    nombre: 'google_sheets',
+    canal_origen: 'google_sheets',
+    formato_fecha: 'auto',
+    campos: {
+        nombre: ['nombre', 'Nombre'],
+        telefono: ['telefono', 'Telefono', 'Teléfono'],
+        descripcion: ['descripcion', 'Descripción', 'descripción'],
+        sucursal: ['sucursal', 'Sucursal'],
+        fecha_creacion: ['fecha_creacion', 'Created on', 'Fecha', 'Marca temporal', 'Timestamp'],
+        lat: ['lat', 'latitud', 'Latitud'],
+        lng: ['lng', 'lon', 'longitud', 'Longitud'],
+        codigo_postal: ['codigo_postal', 'cp', 'Código Postal', 'Codigo Postal']
+    },
+    valores_defecto: {}
+};
+
+// Perfiles de los demás canales. Sus campos de origen son los que entregan los adaptadores
+// de canales-ingesta.js (WhatsApp y correo) o el JSON que envía el sistema del canal.
+// Se crean con `npm run setup` y se pueden ajustar desde /api/perfiles-ingesta.
+const PERFILES_BASE = {
+    [PERFIL_PREDETERMINADO.nombre]: PERFIL_PREDETERMINADO,
+    whatsapp: {
+        nombre: 'whatsapp',
+        canal_origen: 'whatsapp',
+        formato_fecha: 'epoch',
+        campos: {
+            nombre: ['nombre'],
+            telefono: ['wa_id'],
+            descripcion: ['texto'],
+            fecha_creacion: ['timestamp'],
+            lat: ['latitud'],
+            lng: ['longitud']
+        },
+        valores_defecto: {}
+    },
+    formulario_web: {
+        nombre: 'formulario_web',
+        canal_origen: 'web',
+        formato_fecha: 'iso',
+        campos: {
+            nombre: ['nombre', 'name'],
+            telefono: ['telefono', 'phone', 'celular'],
+            descripcion: ['mensaje', 'comentarios', 'descripcion', 'message'],
+            sucursal: ['sucursal', 'branch', 'restaurante'],
+            fecha_creacion: ['fecha_envio', 'submitted_at', 'fecha'],
+            codigo_postal: ['codigo_postal', 'cp']
+        },
+        valores_defecto: {}
+    },
+    email: {
+        nombre: 'email',
+        canal_origen: 'email',
+        formato_fecha: 'iso',
+        campos: {
+            nombre: ['remitente_nombre'],
+            telefono: ['telefono'],
+            descripcion: ['texto'],
+            sucursal: ['sucursal'],
+            fecha_creacion: ['fecha']
+        },
+        valores_defecto: {}
+    },
+    call_center: {
+        nombre: 'call_center',
+        canal_origen: 'call_center',
+        formato_fecha: 'iso',
+        campos: {
+            nombre: ['nombre_cliente', 'cliente'],
+            telefono: ['telefono_cliente', 'telefono', 'ani'],
+            descripcion: ['notas', 'descripcion', 'motivo'],
+            sucursal: ['sucursal'],
+            fecha_creacion: ['inicio_llamada', 'fecha']
+        },
+        valores_defecto: {}
+    }
+};
+
+const FORMATOS_FECHA_FIJOS = ['auto', 'iso', 'epoch', 'epoch_ms'];
+const PARTES_FECHA = { YYYY: '(\\d{4})', YY: '(\\d{2})', MM: '(\\d{1,2})', DD: '(\\d{1,2})', HH: '(\\d{1,2})', mm: '(\\d{2})', ss: '(\\d{2})' };
+const REGEX_PARTES_FECHA = /YYYY|YY|MM|DD|HH|mm|ss/g;
+
+function leerCampo(datos, nombre) {
+    if (nombre in datos) return datos[nombre];
+    if (!nombre.includes('.')) return undefined;
+    return nombre.split('.').reduce((valor, parte) => (valor && typeof valor === 'object' ? valor[parte] : undefined), datos);
+}
+
+function regexPatron(patron, orden) {
+    return patron.split(/(YYYY|YY|MM|DD|HH|mm|ss)/).map((parte, i) => {
+        if (i % 2 === 0) return parte.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        orden.push(parte);
+        return PARTES_FECHA[parte];
+    }).join('');
+}
+
+// 'DD/MM/YYYY HH:mm' -> fecha; la hora es opcional aunque el patrón la incluya
+function parsearConPatron(texto, patron) {
+    const orden = [];
+    const inicioHora = patron.indexOf('HH');
+    const regex = inicioHora > 0
+        ? `${regexPatron(patron.substring(0, inicioHora).replace(/[\sT]+$/, ''), orden)}(?:[\\sT]+${regexPatron(patron.substring(inicioHora), orden)})?`
+        : regexPatron(patron, orden);
+
+    const coincidencia = texto.match(new RegExp(`^${regex}$`));
+    if (!coincidencia) return null;
+
+    const valores = { YYYY: null, YY: null, MM: 1, DD: 1, HH: 0, mm: 0, ss: 0 };
+    orden.forEach((parte, i) => {
+        if (coincidencia[i + 1] !== undefined) valores[parte] = parseInt(coincidencia[i + 1]);
+    });
+    const anio = valores.YYYY ?? (valores.YY !== null ? 2000 + valores.YY : null);
+    if (anio === null) return null;
+
+    const fecha = new Date(anio, valores.MM - 1, valores.DD, valores.HH, valores.mm, valores.ss);
+    return fecha.getMonth() === valores.MM - 1 && fecha.getDate() === valores.DD ? fecha : null;
+}
+
+// Regresa Date o null si el valor no corresponde al formato
+function parsearFecha(valor, formato = 'auto') {
+    if (valor instanceof Date) return isNaN(valor.getTime()) ? null : valor;
+    if (valor === null || valor === undefined || valor === '') return null;
+
+    const texto = String(valor).trim();
+    let fecha;
+
+    if (formato === 'epoch' || formato === 'epoch_ms') {
+        const numero = Number(texto);
+        fecha = isNaN(numero) ? null : new Date(formato === 'epoch' ? numero * 1000 : numero);
+    } else if (formato === 'iso') {
+        fecha = new Date(texto);
+    } else if (formato === 'auto') {
+        // Día primero, como exporta Sheets en español; si no, lo que entienda Date (ISO)
+        fecha = parsearConPatron(texto, 'DD/MM/YYYY HH:mm:ss') || parsearConPatron(texto, 'DD/MM/YYYY HH:mm') || new Date(texto);
+    } else {
+        fecha = parsearConPatron(texto, formato);
+    }
+
+    return fecha && !isNaN(fecha.getTime()) ? fecha : null;
+}
+
+// Traduce los datos recibidos con el perfil. Regresa los campos canónicos (fecha ya como Date),
+// los campos del origen que no se usaron y, si la fecha no se pudo leer, su valor original.
+function aplicarPerfil(datos, perfil = PERFIL_PREDETERMINADO) {
+    const campos = {};
+    const usados = new Set();
+
+    Object.entries(perfil.campos || {}).forEach(([canonico, origenes]) => {
+        for (const origen of [].concat(origenes)) {
+            const valor = leerCampo(datos, origen);
+            if (valor !== undefined && valor !== null && valor !== '') {
+                campos[canonico] = valor;
+                usados.add(origen.split('.')[0]);
+                break;
+            }
+        }
+    });
+
+    Object.entries(perfil.valores_defecto || {}).forEach(([canonico, valor]) => {
+        if (campos[canonico] === undefined) campos[canonico] = valor;
+    });
+
+    let fechaInvalida = null;
+    if (campos.fecha_creacion !== undefined) {
+        const fecha = parsearFecha(campos.fecha_creacion, perfil.formato_fecha || 'auto');
+        if (!fecha) fechaInvalida = campos.fecha_creacion;
+        campos.fecha_creacion = fecha;
+    }
+
+    return {
+        campos,
+        sin_mapear: Object.keys(datos).filter(campo => !usados.has(campo)),
+        fecha_invalida: fechaInvalida
+    };
+}
+
+// Valida un perfil recibido por la API; lanza error con status 400
+function validarPerfil({ nombre, canal_origen, campos, formato_fecha, valores_defecto }) {
+    const errores = [];
+
+    if (!nombre || !/^[a-z0-9_-]{1,50}$/.test(nombre)) {
+        errores.push('nombre es requerido (minúsculas, números, "_" o "-")');
+    }
+    if (!canal_origen || canal_origen.length > 50) {
+        errores.push('canal_origen es requerido (máximo 50 caracteres)');
+    }
+    if (!campos || typeof campos !== 'object' || Array.isArray(campos)) {
+        errores.push('campos debe ser un objeto { campo canónico: [nombres en el origen] }');
+    } else {
+        Object.entries(campos).forEach(([canonico, origenes]) => {
+            if (!CAMPOS_CANONICOS.includes(canonico)) {
+                errores.push(`Campo desconocido "${canonico}" (válidos: ${CAMPOS_CANONICOS.join(', ')})`);
+            }
+            if (![].concat(origenes).every(origen => typeof origen === 'string' && origen)) {
+                errores.push(`Los nombres de origen de "${canonico}" deben ser texto`);
+            }
+        });
+        if (!campos.descripcion && !valores_defecto?.descripcion) {
+            errores.push('El perfil debe mapear descripcion');
+        }
+    }
+    if (formato_fecha && !FORMATOS_FECHA_FIJOS.includes(formato_fecha) && !formato_fecha.match(REGEX_PARTES_FECHA)?.some(parte => parte.startsWith('Y'))) {
+        errores.push(`formato_fecha debe ser ${FORMATOS_FECHA_FIJOS.join(', ')} o un patrón con YYYY, MM, DD...`);
+    }
+    if (valores_defecto && Object.keys(valores_defecto).some(campo => !CAMPOS_CANONICOS.includes(campo))) {
+        errores.push('valores_defecto solo admite campos canónicos');
+    }
+
+    if (errores.length > 0) {
+        const error = new Error(errores.join('; '));
+        error.status = 400;
+        throw error;
+    }
+}
+
+module.exports = {
+    CAMPOS_CANONICOS,
+    PERFIL_PREDETERMINADO,
+    PERFILES_BASE,
+    parsearFecha,
+    aplicarPerfil,
+    validarPerfil
+};
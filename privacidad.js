@@ -0,0 +1,90 @@
+// privacidad.js - PROTECCIÓN DE DATOS PERSONALES (LFPDPPP)
+// Enmascarado de nombre, teléfono y correo en las respuestas según el rol de quien consulta,
+// y limpieza de datos de contacto en texto libre para anonimizar quejas.
+
+// Roles que pueden ver datos personales completos
+const ROLES_SIN_MASCARA = (process.env.PII_ROLES_SIN_MASCARA || 'admin')
+    .split(',')
+    .map(rol => rol.trim())
+    .filter(Boolean);
+
+// Rol de la API key con que se autenticó la solicitud (ver autenticacion.js)
+function obtenerRol(req) {
+    return req.auth?.rol || 'publico';
+}
+
+function puedeVerDatosPersonales(rol) {
+    return ROLES_SIN_MASCARA.includes(rol);
+}
+
+// 8112345678 -> ******5678
+function enmascararTelefono(telefono) {
+    if (!telefono) return telefono;
+    const texto = String(telefono);
+    return texto.length <= 4 ? '****' : '*'.repeat(texto.length - 4) + texto.slice(-4);
+}
+
+// Juan Pérez López -> J*** P*** L***
+function enmascararNombre(nombre) {
+    if (!nombre) return nombre;
+    return String(nombre)
+        .trim()
+        .split(/\s+/)
+        .map(parte => parte.charAt(0) + '***')
+        .join(' ');
+}
+
+// juan.perez@correo.com -> j***@correo.com
+function enmascararEmail(email) {
+    if (!email) return email;
+    const [usuario, dominio] = String(email).split('@');
+    return dominio ? `${usuario.charAt(0)}***@${dominio}` : enmascararNombre(email);
+}
+
+const ENMASCARADORES = {
+    nombre: enmascararNombre,
+    cliente_nombre: enmascararNombre,
+    telefono: enmascararTelefono,
+    cliente_telefono: enmascararTelefono,
+    email: enmascararEmail,
+    cliente_email: enmascararEmail
+};
+
+// Regresa una copia del registro (o de cada registro del arreglo) con los campos personales
+// enmascarados; datos_originales se omite porque trae el formulario tal como llegó
+function protegerDatosPersonales(registros, rol) {
+    if (puedeVerDatosPersonales(rol)) return registros;
+
+    const proteger = registro => {
+        if (!registro || typeof registro !== 'object') return registro;
+        const copia = { ...registro };
+        Object.keys(ENMASCARADORES).forEach(campo => {
+            if (campo in copia) copia[campo] = ENMASCARADORES[campo](copia[campo]);
+        });
+        if ('datos_originales' in copia) copia.datos_originales = null;
+        return copia;
+    };
+
+    return Array.isArray(registros) ? registros.map(proteger) : proteger(registros);
+}
+
+// Teléfonos y correos escritos dentro de la descripción
+const REGEX_TELEFONO_TEXTO = /(?:\+?52[\s-]?)?(?:\(?\d{2,3}\)?[\s.-]?)\d{3,4}[\s.-]?\d{4}/g;
+const REGEX_EMAIL_TEXTO = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+
+function ocultarDatosContacto(texto) {
+    if (!texto) return texto;
+    return texto
+        .replace(REGEX_EMAIL_TEXTO, '[correo]')
+        .replace(REGEX_TELEFONO_TEXTO, '[teléfono]');
+}
+
+module.exports = {
+    obtenerRol,
+    puedeVerDatosPersonales,
+    enmascararTelefono,
+    enmascararNombre,
+    enmascararEmail,
+    protegerDatosPersonales,
+    ocultarDatosContacto
+};
@@ -0,0 +1,179 @@
+// proveedores-ia.js - PROVEEDORES DE IA INTERCAMBIABLES (LLM / NLP EXTERNO / MOCK LOCAL)
+//
+// Un proveedor es un objeto con `nombre` y cualquiera de estos métodos async:
+//   analizarSentimiento(texto, { signal })           -> { sentimiento, score }
+//   categorizar(texto, categorias, { signal })       -> { categoria_id, subcategoria_id?, confianza? }
+//   resumir(texto, contexto, { signal })             -> string
+// signal (AbortSignal) se cancela al agotarse el tiempo; el proveedor debe dejar de trabajar.
+// Si el método no existe, falla, excede el tiempo o responde algo inválido,
+// AnalizadorQuejas usa el análisis local basado en reglas.
+
+const SENTIMIENTOS_VALIDOS = ['positivo', 'neutral', 'negativo', 'muy_negativo'];
+
+// llamada(signal): la operación; al pasar ms se rechaza y se cancela signal
+function conTimeout(llamada, ms, etiqueta = 'proveedor IA') {
+    const controlador = new AbortController();
+    let temporizador;
+    const limite = new Promise((_, reject) => {
+        temporizador = setTimeout(() => {
+            const error = new Error(`${etiqueta}: tiempo de espera agotado (${ms} ms)`);
+            controlador.abort(error);
+            reject(error);
+        }, ms);
+    });
+    return Promise.race([Promise.resolve().then(() => llamada(controlador.signal)), limite])
+        .finally(() => clearTimeout(temporizador));
+}
+
+function validarSentimiento(resultado) {
+    const score = parseFloat(resultado?.score);
+    if (!SENTIMIENTOS_VALIDOS.includes(resultado?.sentimiento) || isNaN(score) || score < -1 || score > 1) {
+        return null;
+    }
+    return { ...resultado, score: Math.round(score * 100) / 100 };
+}
+
+// categorias: Map id -> { nombre, subcategorias } (el categoriasCache del servidor)
+function validarCategoria(resultado, categorias) {
+    const categoria = categorias.get(parseInt(resultado?.categoria_id));
+    if (!categoria) return null;
+
+    const subcategoria = categoria.subcategorias.find(sub => sub.id === parseInt(resultado.subcategoria_id));
+    const confianza = parseFloat(resultado.confianza);
+
+    return {
+        categoria_id: categoria.id,
+        categoria_nombre: categoria.nombre,
+        subcategoria_id: subcategoria?.id || null,
+        subcategoria_nombre: subcategoria?.nombre || null,
+        keyword_encontrada: null,
+        confianza: isNaN(confianza) ? null : Math.max(0, Math.min(1, confianza)),
+        secundarias: [],
+        ranking: []
+    };
+}
+
+function validarResumen(resultado) {
+    if (typeof resultado !== 'string' || !resultado.trim()) return null;
+    return resultado.trim().substring(0, 300);
+}
+
+// Respuestas fijas y predecibles para pruebas; puede simular demoras y fallas
+class ProveedorMock {
+    constructor(opciones = {}) {
+        this.nombre = opciones.nombre || 'mock';
+        this.opciones = opciones;
+    }
+
+    async simular(tarea, signal) {
+        if (this.opciones.retrasoMs) {
+            await new Promise((resolve, reject) => {
+                const temporizador = setTimeout(resolve, this.opciones.retrasoMs);
+                signal?.addEventListener('abort', () => {
+                    clearTimeout(temporizador);
+                    reject(signal.reason);
+                }, { once: true });
+            });
+        }
+        if ((this.opciones.fallarEn || []).includes(tarea)) {
+            throw new Error(`${this.nombre}: falla simulada en ${tarea}`);
+        }
+    }
+
+    async analizarSentimiento(texto, { signal } = {}) {
+        await this.simular('sentimiento', signal);
+        return this.opciones.sentimiento || { sentimiento: 'neutral', score: 0 };
+    }
+
+    async categorizar(texto, categorias, { signal } = {}) {
+        await this.simular('categoria', signal);
+        if (this.opciones.categoria_id) {
+            return { categoria_id: this.opciones.categoria_id, confianza: 1 };
+        }
+        // La primera categoría (por id) cuyo nombre aparece en el texto
+        const textoLower = (texto || '').toLowerCase();
+        const ids = Array.from(categorias.keys()).sort((a, b) => a - b);
+        const encontrada = ids.find(id => textoLower.includes(categorias.get(id).nombre.split(' ')[0].toLowerCase()));
+        return encontrada ? { categoria_id: encontrada, confianza: 0.5 } : null;
+    }
+
+    async resumir(texto, contexto, { signal } = {}) {
+        await this.simular('resumen', signal);
+        return this.opciones.resumen || `[mock] ${(texto || '').substring(0, 60)}`;
+    }
+}
+
+// Servicio externo (LLM u otro NLP) con contrato JSON:
+// POST {url}/{sentimiento|categoria|resumen} -> el mismo objeto que regresan los métodos de arriba
+class ProveedorHTTP {
+    constructor({ url, token, nombre = 'http' }) {
+        this.nombre = nombre;
+        this.url = url.replace(/\/$/, '');
+        this.token = token;
+    }
+
+    async llamar(tarea, cuerpo, signal) {
+        const respuesta = await fetch(`${this.url}/${tarea}`, {
+            method: 'POST',
+            signal,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.token ? { Authorization: `Bearer ${this.token}` } : {})
+            },
+            body: JSON.stringify(cuerpo)
+        });
+
+        if (!respuesta.ok) {
+            throw new Error(`${this.nombre}: ${tarea} respondió ${respuesta.status}`);
+        }
+        return respuesta.json();
+    }
+
+    async analizarSentimiento(texto, { signal } = {}) {
+        return this.llamar('sentimiento', { texto }, signal);
+    }
+
+    async categorizar(texto, categorias, { signal } = {}) {
+        const opciones = Array.from(categorias.values()).map(c => ({
+            id: c.id,
+            nombre: c.nombre,
+            subcategorias: c.subcategorias.map(sub => ({ id: sub.id, nombre: sub.nombre }))
+        }));
+        return this.llamar('categoria', { texto, categorias: opciones }, signal);
+    }
+
+    async resumir(texto, contexto, { signal } = {}) {
+        const respuesta = await this.llamar('resumen', { texto, contexto }, signal);
+        return typeof respuesta === 'string' ? respuesta : respuesta?.resumen;
+    }
+}
+
+// IA_PROVEEDOR: 'reglas' (por defecto, sin proveedor externo), 'mock' o 'http'
+function crearProveedor(nombre = process.env.IA_PROVEEDOR) {
+    switch (nombre) {
+        case 'mock':
+            return new ProveedorMock();
+        case 'http':
+            if (!process.env.IA_PROVEEDOR_URL) {
+                console.warn('⚠️ IA_PROVEEDOR=http sin IA_PROVEEDOR_URL; se usan solo reglas');
+                return null;
+            }
+            return new ProveedorHTTP({
+                url: process.env.IA_PROVEEDOR_URL,
+                token: process.env.IA_PROVEEDOR_TOKEN,
+                nombre: process.env.IA_PROVEEDOR_NOMBRE || 'http'
+            });
+        default:
+            return null;
+    }
+}
+
+module.exports = {
+    ProveedorMock,
+    ProveedorHTTP,
+    crearProveedor,
+    conTimeout,
+    validarSentimiento,
+    validarCategoria,
+    validarResumen
+};
@@ -0,0 +1,117 @@
+// registro-ingesta.js - BITÁCORA DE INGESTA (sync_logs) Y SUS MÉTRICAS
+// Cada entrega autenticada a un webhook, cada trabajo que procesa la cola y cada fila importada
+// (salvo en simulación) deja un registro con su resultado, el error y el tiempo de cada etapa (ms):
+//   tipo: 'webhook'       recepción (la queja queda en la cola)
+//         'procesamiento' análisis e inserción de un trabajo de la cola
+//         'reproceso'     lo mismo, para un trabajo que regresó desde quejas_fallidas
+//         'importacion'   una fila de un CSV/XLSX
+//   tiempos_etapas: { sentimiento, categorizacion, sucursal, resumen, insercion }
+
+// Etapas que cuentan como tiempo de IA (ai_analysis_time)
+const ETAPAS_IA = ['sentimiento', 'categorizacion', 'resumen'];
+
+function milisegundosDesde(inicio) {
+    return Math.round((performance.now() - inicio) * 10) / 10;
+}
+
+// Ejecuta fn y suma su duración a tiempos[etapa], aunque lance error
+async function medirEtapa(tiempos, etapa, fn) {
+    const inicio = performance.now();
+    try {
+        return await fn();
+    } finally {
+        tiempos[etapa] = (tiempos[etapa] || 0) + milisegundosDesde(inicio);
+    }
+}
+
+function crearRegistroIngesta(pool) {
+    // registros: uno o varios { tipo, canal, resultado, error, total_ms, tiempos, queja_id, datos }.
+    // Se insertan en una sola consulta; si falla solo se avisa en consola, la ingesta sigue
+    async function registrar(registros) {
+        const filas = [].concat(registros).map(registro => {
+            const tiempos = registro.tiempos && Object.keys(registro.tiempos).length > 0 ? registro.tiempos : null;
+            const etapasIA = ETAPAS_IA.filter(etapa => tiempos?.[etapa] !== undefined);
+
+            return {
+                tipo: registro.tipo,
+                canal: registro.canal || null,
+                resultado: registro.resultado,
+                error_mensaje: registro.error || null,
+                tiempo_procesamiento: registro.total_ms !== undefined ? Math.round(registro.total_ms) : null,
+                ai_analysis_time: etapasIA.length > 0 ? Math.round(etapasIA.reduce((suma, etapa) => suma + tiempos[etapa], 0)) : null,
+                tiempos_etapas: tiempos,
+                queja_id: registro.queja_id || null,
+                datos: registro.datos || null
+            };
+        });
+        if (filas.length === 0) return;
+
+        try {
+            await pool.query(`
+                INSERT INTO sync_logs (tipo, canal, resultado, error_mensaje, tiempo_procesamiento, ai_analysis_time, tiempos_etapas, queja_id, datos)
+                SELECT tipo, canal, resultado, error_mensaje, tiempo_procesamiento, ai_analysis_time, tiempos_etapas, queja_id, datos
+                FROM jsonb_to_recordset($1::jsonb) AS r(
+                    tipo VARCHAR(50), canal VARCHAR(50), resultado VARCHAR(20), error_mensaje TEXT,
+                    tiempo_procesamiento INTEGER, ai_analysis_time INTEGER, tiempos_etapas JSONB,
+                    queja_id INTEGER, datos JSONB
+                )
+            `, [JSON.stringify(filas)]);
+        } catch (error) {
+            console.error('Error guardando sync_logs:', error.message);
+        }
+    }
+
+    // Tasa de error y latencia p50/p95 por tipo y canal, y p50/p95 de cada etapa por canal,
+    // entre desde y hasta. canal y tipo son filtros opcionales
+    async function metricas({ desde, hasta, canal = null, tipo = null }) {
+        const params = [desde, hasta, canal, tipo];
+        const filtro = `
+            created_at >= $1 AND created_at < $2
+            AND ($3::varchar IS NULL OR canal = $3)
+            AND ($4::varchar IS NULL OR tipo = $4)
+        `;
+
+        const [porCanal, porEtapa] = await Promise.all([
+            pool.query(`
+                SELECT tipo, canal,
+                       COUNT(*)::int AS total,
+                       COUNT(*) FILTER (WHERE resultado = 'error')::int AS errores,
+                       ROUND(COUNT(*) FILTER (WHERE resultado = 'error')::numeric / COUNT(*), 4)::float AS tasa_error,
+                       percentile_cont(0.5) WITHIN GROUP (ORDER BY tiempo_procesamiento) AS p50_ms,
+                       percentile_cont(0.95) WITHIN GROUP (ORDER BY tiempo_procesamiento) AS p95_ms,
+                       percentile_cont(0.5) WITHIN GROUP (ORDER BY ai_analysis_time) AS p50_ia_ms,
+                       percentile_cont(0.95) WITHIN GROUP (ORDER BY ai_analysis_time) AS p95_ia_ms
+                FROM sync_logs
+                WHERE ${filtro}
+                GROUP BY tipo, canal
+                ORDER BY tipo, canal
+            `, params),
+            pool.query(`
+                SELECT canal, etapa.key AS etapa,
+                       COUNT(*)::int AS muestras,
+                       ROUND(percentile_cont(0.5) WITHIN GROUP (ORDER BY etapa.value::float)::numeric, 1)::float AS p50_ms,
+                       ROUND(percentile_cont(0.95) WITHIN GROUP (ORDER BY etapa.value::float)::numeric, 1)::float AS p95_ms
+                FROM sync_logs, jsonb_each_text(tiempos_etapas) AS etapa
+                WHERE ${filtro}
+                GROUP BY canal, etapa.key
+                ORDER BY canal, etapa.key
+            `, params)
+        ]);
+
+        return {
+            por_canal: porCanal.rows,
+            por_etapa: porEtapa.rows
+        };
+    }
+
+    return {
+        registrar,
+        metricas
+    };
+}
+
+module.exports = {
+    milisegundosDesde,
+    medirEtapa,
+    crearRegistroIngesta
+};
@@ -0,0 +1,88 @@
+// resumen-ia.js - RESUMEN DE UNA LÍNEA A PARTIR DE LAS FRASES CLAVE DE LA QUEJA
+const { normalizarTexto, raizPalabra } = require('./similitud-texto');
+
+const LARGO_MAXIMO_RESUMEN = 200;
+const LARGO_MAXIMO_FRASE = 120;
+
+// Productos y elementos del restaurante que vale la pena mencionar
+const PRODUCTOS = [
+    'pollo', 'alitas', 'pierna', 'muslo', 'pechuga', 'papas', 'arroz', 'frijoles', 'tortillas', 'salsa',
+    'ensalada', 'refresco', 'agua', 'postre', 'combo', 'paquete', 'baño', 'mesa', 'estacionamiento',
+    'cajero', 'gerente', 'repartidor', 'app', 'pedido', 'ticket', 'factura'
+];
+
+// Montos ($150, 150 pesos) y tiempos (45 minutos, 1 hora)
+const REGEX_MONTO = /\$\s?\d+(?:[.,]\d{1,2})?|\b\d+(?:[.,]\d{1,2})?\s?(?:pesos|mxn)\b/gi;
+const REGEX_TIEMPO = /\b\d+\s?(?:min(?:uto)?s?|hrs?|horas?)\b/gi;
+
+function dividirOraciones(texto) {
+    return texto
+        .replace(/\s+/g, ' ')
+        .split(/(?<=[.!?¡¿;\n])\s+|\s*[.!?;]+\s*$/)
+        .map(oracion => oracion.trim().replace(/^[¡¿]+|[.,;:]+$/g, ''))
+        .filter(oracion => oracion.length > 3);
+}
+
+function extraerEntidades(texto) {
+    const raices = new Set(normalizarTexto(texto).split(' ').map(raizPalabra));
+    const productos = PRODUCTOS.filter(producto => raices.has(raizPalabra(producto)));
+
+    return {
+        productos,
+        montos: [...new Set((texto.match(REGEX_MONTO) || []).map(m => m.trim()))],
+        tiempos: [...new Set((texto.match(REGEX_TIEMPO) || []).map(t => t.trim()))]
+    };
+}
+
+// Cuántos términos importantes (sentimiento, keywords, palabras clave) contiene la oración
+function puntuarOracion(oracion, terminosClave) {
+    const raices = new Set(normalizarTexto(oracion).split(' ').map(raizPalabra));
+    let puntaje = 0;
+    terminosClave.forEach(termino => {
+        const partes = normalizarTexto(termino).split(' ').map(raizPalabra);
+        if (partes.length && partes.every(parte => raices.has(parte))) puntaje++;
+    });
+    return puntaje;
+}
+
+function recortar(texto, largo) {
+    if (texto.length <= largo) return texto;
+    const corte = texto.substring(0, largo - 1);
+    return corte.substring(0, corte.lastIndexOf(' ') > largo * 0.6 ? corte.lastIndexOf(' ') : corte.length) + '…';
+}
+
+// contexto: { categoria, subcategoria, sucursal, terminos: [texto], palabras_clave: [texto] }
+function generarResumen(texto, contexto = {}) {
+    if (!texto || !texto.trim()) return null;
+
+    const terminosClave = [...(contexto.terminos || []), ...(contexto.palabras_clave || [])];
+    const oraciones = dividirOraciones(texto);
+
+    // La oración con más términos importantes; en empate, la primera
+    let clave = oraciones[0] || texto.trim();
+    let mejorPuntaje = -1;
+    oraciones.forEach(oracion => {
+        const puntaje = puntuarOracion(oracion, terminosClave);
+        if (puntaje > mejorPuntaje) {
+            mejorPuntaje = puntaje;
+            clave = oracion;
+        }
+    });
+
+    const entidades = extraerEntidades(texto);
+    const detalles = [...entidades.productos.slice(0, 3), ...entidades.montos.slice(0, 1), ...entidades.tiempos.slice(0, 1)]
+        .filter(detalle => !normalizarTexto(clave).includes(normalizarTexto(detalle)));
+
+    const etiqueta = [contexto.categoria, contexto.subcategoria].filter(Boolean).join(' › ');
+    const encabezado = [etiqueta, contexto.sucursal].filter(Boolean).join(' @ ');
+    const prefijo = encabezado ? `${encabezado}: ` : '';
+    const sufijo = detalles.length ? ` (${detalles.join(', ')})` : '';
+
+    const frase = recortar(clave.charAt(0).toUpperCase() + clave.slice(1), LARGO_MAXIMO_FRASE);
+    return recortar(`${prefijo}${frase}${sufijo}`, LARGO_MAXIMO_RESUMEN);
+}
+
+module.exports = {
+    generarResumen,
+    extraerEntidades
+};
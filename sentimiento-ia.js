@@ -0,0 +1,254 @@
+// sentimiento-ia.js - ANÁLISIS DE SENTIMIENTO EN ESPAÑOL (NEGACIÓN, INTENSIFICADORES, EMOJIS)
+
+// Léxico base: término (sin acentos, minúsculas) -> peso entre -4 y 4
+// Las frases de varias palabras tienen prioridad sobre las palabras sueltas
+const LEXICO_BASE = {
+    // Negativos
+    'malo': -2, 'mala': -2, 'mal': -1.5, 'malisimo': -3.5, 'malisima': -3.5,
+    'terrible': -3, 'horrible': -3, 'horrendo': -3, 'horrenda': -3,
+    'asqueroso': -3.5, 'asquerosa': -3.5, 'asco': -3, 'pesimo': -3, 'pesima': -3,
+    'odio': -3, 'fatal': -2.5, 'feo': -1.5, 'fea': -1.5, 'desagradable': -2,
+    'frio': -1, 'fria': -1, 'crudo': -2, 'cruda': -2, 'quemado': -1.5, 'quemada': -1.5,
+    'rancio': -2.5, 'rancia': -2.5, 'insipido': -1.5, 'insipida': -1.5, 'salado': -1,
+    'sucio': -2, 'sucia': -2, 'cochino': -2.5, 'cochina': -2.5,
+    'grosero': -2.5, 'grosera': -2.5, 'groseros': -2.5, 'descortes': -2,
+    'lento': -1.5, 'lenta': -1.5, 'tarde': -1, 'tardado': -1.5, 'tardaron': -1, 'caro': -1,
+    'decepcion': -2, 'decepcionante': -2.5, 'decepcionado': -2, 'decepcionada': -2,
+    'molesto': -2, 'molesta': -2, 'enojado': -2, 'enojada': -2, 'indignado': -2.5, 'indignada': -2.5,
+    'inaceptable': -3, 'nefasto': -3, 'deficiente': -2, 'problema': -1.5, 'problemas': -1.5,
+    'intoxicacion': -3.5, 'enfermo': -2.5, 'enferma': -2.5, 'vomito': -3, 'cucaracha': -3, 'mosca': -2,
+    'gacho': -2, 'gacha': -2, 'chafa': -2, 'chafisimo': -2.5, 'culero': -3, 'culeros': -3,
+    'mala onda': -2, 'mal servicio': -2.5, 'mala atencion': -2.5, 'del asco': -3, 'que asco': -3,
+    'de la fregada': -2.5, 'echado a perder': -2.5, 'no tienen madre': -3,
+    'nunca mas': -2.5, 'no vuelvo': -2.5, 'no regreso': -2.5, 'no sirve': -2, 'no funciona': -1.5,
+
+    // Positivos
+    'bueno': 2, 'buena': 2, 'buenos': 2, 'buenas': 1, 'bien': 1.5, 'buenisimo': 3.5, 'buenisima': 3.5,
+    'excelente': 3, 'rico': 2.5, 'rica': 2.5, 'riquisimo': 3.5, 'riquisima': 3.5,
+    'sabroso': 2.5, 'sabrosa': 2.5, 'delicioso': 3, 'deliciosa': 3,
+    'recomiendo': 2.5, 'recomendado': 2.5, 'recomendable': 2, 'perfecto': 3, 'perfecta': 3, 'genial': 3, 'maravilloso': 3, 'increible': 2.5,
+    'amable': 2, 'amables': 2, 'atento': 2, 'atenta': 2, 'atentos': 2,
+    'rapido': 1.5, 'rapida': 1.5, 'limpio': 1.5, 'limpia': 1.5, 'calientito': 1.5, 'fresco': 1,
+    'chido': 2.5, 'chida': 2.5, 'padre': 1.5, 'padrisimo': 3, 'chingon': 3, 'chingona': 3,
+    'agusto': 1.5, 'encanta': 2.5, 'encanto': 2.5, 'gusto': 2, 'gracias': 1,
+    'feliz': 2.5, 'satisfecho': 2, 'satisfecha': 2, 'contento': 2, 'contenta': 2,
+    'mejor': 1.5, 'favorito': 2.5, 'favorita': 2.5,
+    'a tiempo': 1.5, 'a gusto': 1.5, 'vale la pena': 2.5, 'de lujo': 3, 'poca madre': 3, 'lo mejor': 2.5
+};
+
+const EMOJIS = {
+    '😡': -3, '🤬': -3.5, '😠': -2.5, '🤮': -3.5, '🤢': -3, '👎': -2.5, '😞': -2, '😢': -2,
+    '😭': -2, '💩': -3, '😤': -2, '🙄': -1.5,
+    '👍': 2, '👌': 2, '😍': 3, '😋': 2.5, '🤤': 2, '❤': 3, '😊': 2.5, '🙂': 1.5,
+    '😀': 2.5, '😁': 2.5, '💯': 2.5, '🔥': 2, '⭐': 1
+};
+
+// Invierten el sentido de los términos que les siguen (dentro de la misma frase)
+const NEGADORES = ['no', 'nunca', 'jamas', 'ni', 'tampoco', 'nada', 'sin', 'nadie'];
+const VENTANA_NEGACION = 4;
+// "nunca había comido tan rico": con estos comparativos la negación se vuelve superlativo
+const COMPARATIVOS = ['tan', 'mas'];
+
+const INTENSIFICADORES = {
+    'muy': 1.5, 'super': 1.5, 'demasiado': 1.5, 'bien': 1.3, 'bastante': 1.3, 're': 1.3,
+    'tan': 1.3, 'extremadamente': 2, 'sumamente': 1.8, 'totalmente': 1.5, 'realmente': 1.3,
+    'algo': 0.7, 'medio': 0.7, 'poco': 0.5
+};
+
+// Umbrales de score para cada etiqueta
+const UMBRAL_MUY_NEGATIVO = -0.65;
+const UMBRAL_NEGATIVO = -0.15;
+const UMBRAL_POSITIVO = 0.15;
+// Constante de normalización: con suma = 4 el score queda cerca de 0.7
+const ALFA_NORMALIZACION = 15;
+
+const REGEX_EMOJI = /\p{Extended_Pictographic}/gu;
+
+function plegarAcentos(texto) {
+    return texto.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// "horribleeee" -> "horrible"
+function quitarAlargamiento(palabra) {
+    return palabra.replace(/(.)\1{2,}/g, '$1');
+}
+
+// Formas a buscar en el léxico: tal cual, sin alargar y sin letras dobles ("ricoo" -> "rico")
+function variantesPalabra(palabra) {
+    const sinAlargar = quitarAlargamiento(palabra);
+    const sinDobles = sinAlargar.replace(/([^rlc])\1/g, '$1');
+    return [...new Set([palabra, sinAlargar, sinDobles])];
+}
+
+function compilarLexico(lexico) {
+    const entradas = lexico instanceof Map ? Array.from(lexico.entries()) : Object.entries(lexico);
+    const palabras = new Map();
+    const frases = new Map();
+
+    entradas.forEach(([termino, peso]) => {
+        const normalizado = plegarAcentos(termino).trim().replace(/\s+/g, ' ');
+        if (normalizado.includes(' ')) {
+            frases.set(normalizado, peso);
+        } else {
+            palabras.set(normalizado, peso);
+        }
+    });
+
+    const largoMaximoFrase = Math.max(1, ...Array.from(frases.keys()).map(f => f.split(' ').length));
+    return { palabras, frases, largoMaximoFrase };
+}
+
+const lexicosCompilados = new WeakMap();
+
+function obtenerLexicoCompilado(lexico) {
+    if (!lexicosCompilados.has(lexico)) {
+        lexicosCompilados.set(lexico, compilarLexico(lexico));
+    }
+    return lexicosCompilados.get(lexico);
+}
+
+// Divide el texto en frases; "pero" separa y da más peso a lo que sigue
+function dividirFrases(texto) {
+    const frases = [];
+    plegarAcentos(texto).split(/[.,;:!?¡¿\n()]+/).forEach(fragmento => {
+        const partes = fragmento.split(/\b(?:pero|aunque|sin embargo)\b/);
+        partes.forEach((parte, i) => {
+            const tokens = parte.replace(/[^a-z0-9ñ\s]/g, ' ').split(/\s+/).filter(Boolean);
+            if (tokens.length === 0) return;
+            // Lo que va antes de un "pero" pesa menos que lo que va después
+            const peso = partes.length === 1 ? 1 : (i < partes.length - 1 ? 0.5 : 1.5);
+            frases.push({ tokens, peso });
+        });
+    });
+    return frases;
+}
+
+function buscarTermino(tokens, i, compilado) {
+    for (let largo = Math.min(compilado.largoMaximoFrase, tokens.length - i); largo >= 2; largo--) {
+        const frase = tokens.slice(i, i + largo).map(t => quitarAlargamiento(t)).join(' ');
+        if (compilado.frases.has(frase)) {
+            return { termino: frase, peso: compilado.frases.get(frase), largo, tipo: 'frase' };
+        }
+    }
+
+    for (const variante of variantesPalabra(tokens[i])) {
+        if (compilado.palabras.has(variante)) {
+            return { termino: variante, peso: compilado.palabras.get(variante), largo: 1, tipo: 'palabra' };
+        }
+    }
+
+    return null;
+}
+
+function modificadoresPrevios(tokens, inicio, peso, compilado) {
+    let factor = 1;
+    const modificadores = [];
+
+    // Intensificadores inmediatamente antes del término ("muy muy rico")
+    for (let j = inicio - 1; j >= Math.max(0, inicio - 2); j--) {
+        const token = quitarAlargamiento(tokens[j]);
+        if (INTENSIFICADORES[token] === undefined) break;
+        // "poco amable" significa lo contrario de amable
+        factor *= token === 'poco' && peso > 0 ? -INTENSIFICADORES[token] : INTENSIFICADORES[token];
+        modificadores.push(token);
+    }
+
+    // Negación dentro de la ventana, a menos que otro término con sentido la corte
+    for (let j = inicio - 1; j >= Math.max(0, inicio - VENTANA_NEGACION); j--) {
+        const token = quitarAlargamiento(tokens[j]);
+        if (NEGADORES.includes(token)) {
+            const entre = tokens.slice(j + 1, inicio).map(t => quitarAlargamiento(t));
+            const comparativo = entre.some(t => COMPARATIVOS.includes(t));
+            return { factor, modificadores, negador: token, comparativo };
+        }
+        if (j < inicio - 1 && buscarTermino(tokens, j, compilado)) break;
+    }
+
+    return { factor, modificadores, negador: null, comparativo: false };
+}
+
+// Analiza un texto y regresa un score continuo entre -1 y 1 con los términos que lo explican
+function analizarSentimiento(texto, lexico = LEXICO_BASE) {
+    const compilado = obtenerLexicoCompilado(lexico);
+    const terminos = [];
+    let total = 0;
+
+    if (!texto) {
+        return { sentimiento: 'neutral', score: 0, terminos: [], suma: 0 };
+    }
+
+    const original = texto.toString();
+
+    // Emojis: cuentan por sí solos, fuera de la negación
+    (original.match(REGEX_EMOJI) || []).forEach(emoji => {
+        if (EMOJIS[emoji] !== undefined) {
+            total += EMOJIS[emoji];
+            terminos.push({ termino: emoji, tipo: 'emoji', peso: EMOJIS[emoji], modificadores: [], contribucion: EMOJIS[emoji] });
+        }
+    });
+
+    dividirFrases(original.replace(REGEX_EMOJI, ' ')).forEach(({ tokens, peso: pesoFrase }) => {
+        let i = 0;
+        while (i < tokens.length) {
+            const encontrado = buscarTermino(tokens, i, compilado);
+
+            // "bien rico": "bien" actúa como intensificador, no como término
+            const siguiente = i + 1 < tokens.length ? buscarTermino(tokens, i + 1, compilado) : null;
+            if (!encontrado || (encontrado.largo === 1 && INTENSIFICADORES[encontrado.termino] && siguiente)) {
+                i++;
+                continue;
+            }
+
+            const { factor, modificadores, negador, comparativo } = modificadoresPrevios(tokens, i, encontrado.peso, compilado);
+            let contribucion = encontrado.peso * Math.min(factor, 2.5) * pesoFrase;
+
+            if (negador && comparativo && negador !== 'no') {
+                // "nunca había comido tan rico" -> superlativo
+                contribucion *= 1.5;
+                modificadores.push(`${negador} (superlativo)`);
+            } else if (negador && comparativo) {
+                // "no estaba tan malo" -> se atenúa sin invertir
+                contribucion *= 0.2;
+                modificadores.push(`${negador} (atenuado)`);
+            } else if (negador) {
+                // Negar algo positivo pesa más que negar algo negativo
+                contribucion *= encontrado.peso > 0 ? -0.75 : -0.5;
+                modificadores.push(`${negador} (negación)`);
+            }
+
+            if (pesoFrase !== 1) modificadores.push(pesoFrase > 1 ? 'después de pero' : 'antes de pero');
+
+            total += contribucion;
+            terminos.push({
+                termino: encontrado.termino,
+                tipo: encontrado.tipo,
+                peso: encontrado.peso,
+                modificadores,
+                contribucion: Math.round(contribucion * 100) / 100
+            });
+
+            i += encontrado.largo;
+        }
+    });
+
+    const score = Math.round((total / Math.sqrt(total * total + ALFA_NORMALIZACION)) * 100) / 100;
+
+    let sentimiento = 'neutral';
+    if (score <= UMBRAL_MUY_NEGATIVO) sentimiento = 'muy_negativo';
+    else if (score <= UMBRAL_NEGATIVO) sentimiento = 'negativo';
+    else if (score >= UMBRAL_POSITIVO) sentimiento = 'positivo';
+
+    return {
+        sentimiento,
+        score,
+        suma: Math.round(total * 100) / 100,
+        terminos: terminos.sort((a, b) => Math.abs(b.contribucion) - Math.abs(a.contribucion))
+    };
+}
+
+module.exports = {
+    LEXICO_BASE,
+    EMOJIS,
+    analizarSentimiento,
+    compilarLexico
+};
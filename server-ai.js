@@ -3,6 +3,28 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const { Pool } = require('pg');
+const crypto = require('crypto');
+const { normalizarTexto, quitarPrefijoSucursal, tokenizar, raizPalabra, similitudTexto, similitudSimetrica, coberturaPalabras } = require('./similitud-texto');
+const { analizarSentimiento: analizarSentimientoTexto, LEXICO_BASE } = require('./sentimiento-ia');
+const { predecir: predecirCategoria } = require('./clasificador-quejas');
+const { crearProveedor, conTimeout, validarSentimiento, validarCategoria, validarResumen } = require('./proveedores-ia');
+const { generarResumen } = require('./resumen-ia');
+const { obtenerRol, puedeVerDatosPersonales, protegerDatosPersonales, ocultarDatosContacto } = require('./privacidad');
+const { crearAutenticacion, requiereRol, condicionAlcance } = require('./autenticacion');
+const {
+    guardarCuerpoCrudo,
+    revisarConfiguracionFirma,
+    verificarFirma,
+    verificarFirmaWhatsApp,
+    verificarSuscripcionWhatsApp,
+    claveIdempotencia
+} = require('./webhook-seguridad');
+const { mensajesWhatsApp, correosEntrantes, llamadaCallCenter } = require('./canales-ingesta');
+const { leerCorreo } = require('./correo-quejas');
+const { crearColaQuejas } = require('./cola-quejas');
+const { crearRegistroIngesta, medirEtapa, milisegundosDesde } = require('./registro-ingesta');
+const { detectarFormato, leerFilas, importarFilas, TAMANO_LOTE } = require('./importador-quejas');
+const { PERFIL_PREDETERMINADO, PERFILES_BASE, aplicarPerfil, validarPerfil } = require('./perfiles-ingesta');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -14,476 +36,4084 @@ const pool = new Pool({
 });
 
 // Middleware
-app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+// CORS_ORIGENES: orígenes permitidos separados por coma (sin definir = cualquiera; la API key protege los datos)
+app.use(cors(process.env.CORS_ORIGENES ? { origin: process.env.CORS_ORIGENES.split(',').map(o => o.trim()) } : {}));
+app.use(express.json({ limit: '10mb', verify: guardarCuerpoCrudo }));
+
+// Autenticación por API key en todo excepto /health y el webhook de WhatsApp (la verificación
+// de Meta, y las notificaciones cuando se validan con WHATSAPP_APP_SECRET); ver autenticacion.js
+const autenticacion = crearAutenticacion(pool);
+const soloAdmin = requiereRol('admin');
+const colaQuejas = crearColaQuejas(pool);
+const registroIngesta = crearRegistroIngesta(pool);
+
+// Cada entrega a un webhook que pasó la autenticación y la firma (entregaVerificada) queda en
+// sync_logs (tipo 'webhook'); el cuerpo de la respuesta dice si se encoló o era repetida.
+// Las llamadas rechazadas antes no cuentan para las métricas de ingesta
+app.use('/webhook', (req, res, next) => {
+    if (req.method !== 'POST') return next();
+
+    const inicio = performance.now();
+    const canal = canalDeWebhook(req.path, req.get('X-Perfil-Ingesta'));
+    const enviarJson = res.json.bind(res);
+    res.json = cuerpo => {
+        res.locals.cuerpo = cuerpo;
+        return enviarJson(cuerpo);
+    };
+
+    res.on('finish', () => {
+        if (!res.locals.entregaVerificada) return;
+        const cuerpo = res.locals.cuerpo || {};
+        const error = res.statusCode >= 400;
+        registroIngesta.registrar({
+            tipo: 'webhook',
+            canal,
+            resultado: error ? 'error' : cuerpo.repetida ? 'repetida' : res.statusCode === 202 ? 'encolada' : 'ok',
+            error: error ? cuerpo.error || cuerpo.message || `HTTP ${res.statusCode}` : null,
+            total_ms: milisegundosDesde(inicio),
+            datos: {
+                ruta: req.originalUrl.split('?')[0],
+                status: res.statusCode,
+                trabajo_id: cuerpo.trabajo_id ?? null,
+                mensajes: cuerpo.mensajes ?? null,
+                omitidos: cuerpo.omitidos ?? null
+            }
+        });
+    });
+    next();
+});
+
+// Va después de la verificación de firma de cada webhook
+function entregaVerificada(req, res, next) {
+    res.locals.entregaVerificada = true;
+    next();
+}
+
+app.use((req, res, next) => {
+    if (req.path === '/health') return next();
+    if (req.path === '/webhook/whatsapp' && (req.method === 'GET' || process.env.WHATSAPP_APP_SECRET)) return next();
+    autenticacion.autenticar(req, res, next);
+});
+// Las llaves de integración solo pueden enviar quejas
+app.use((req, res, next) => {
+    if (req.auth?.rol === 'integracion' && !(req.method === 'POST' && req.path.startsWith('/webhook/'))) {
+        return res.status(403).json({ success: false, error: 'La llave de integración solo puede enviar quejas' });
+    }
+    next();
+});
+
+// Columnas de alcance (sucursal, grupo operativo, región) en vista_quejas_para_ia
+const ALCANCE_VISTA = { sucursal: 'sucursal_id', grupo: 'grupo_id', region: 'region_id' };
 
 // Cache para optimización
 let sucursalesCache = new Map();
 let categoriasCache = new Map();
+// Léxico de sentimiento activo; version null = léxico base del código (tabla vacía)
+let lexicoCache = { version: null, terminos: LEXICO_BASE };
+// Modelo activo del clasificador entrenado (null si aún no se ha entrenado)
+let modeloCache = null;
+// Perfiles de ingesta por nombre, activos e inactivos (ver perfiles-ingesta.js)
+let perfilesCache = new Map();
+
+// Flujo de estados de una queja: estado actual -> estados permitidos
+// Desde 'resuelto' o 'cerrado_sin_resolucion' solo se puede reabrir (volver a revisión)
+const TRANSICIONES_ESTADO = {
+    pendiente: ['en_revision', 'cerrado_sin_resolucion'],
+    en_revision: ['contactado', 'resuelto', 'cerrado_sin_resolucion'],
+    contactado: ['en_revision', 'resuelto', 'cerrado_sin_resolucion'],
+    resuelto: ['en_revision'],
+    cerrado_sin_resolucion: ['en_revision']
+};
+const ESTADOS_FINALES = ['resuelto', 'cerrado_sin_resolucion'];
+
+// SLA: porcentaje del tiempo esperado a partir del cual una queja se considera en riesgo
+const SLA_UMBRAL_RIESGO = parseFloat(process.env.SLA_UMBRAL_RIESGO || '0.75');
+// Categorías con esta criticidad o mayor generan insight al vencer su SLA
+const SLA_CRITICIDAD_ALERTA = 4;
+const SLA_INTERVALO_REVISION_MIN = parseInt(process.env.SLA_INTERVALO_REVISION_MIN || '15');
+
+// Segmentación de clientes: se recalcula periódicamente con su historial de quejas
+const SEGMENTACION_INTERVALO_HORAS = parseInt(process.env.SEGMENTACION_INTERVALO_HORAS || '24');
+const SEGMENTO_VENTANA_DIAS = 180;
+const SEGMENTO_VISITAS_FRECUENTE = 3;
+const SEGMENTO_DIAS_NUEVO = 30;
+// Riesgo de abandono (0 a 1) a partir del cual el cliente se prioriza
+const RIESGO_ABANDONO_ALTO = 0.60;
+
+// Retención de datos personales: quejas más antiguas se anonimizan (0 = no anonimizar)
+const RETENCION_DIAS = parseInt(process.env.RETENCION_DIAS || '730');
+const RETENCION_INTERVALO_HORAS = 24;
+
+// Mapeos de sucursal por debajo de esta confianza pasan a revisión manual
+const MAPEO_CONFIANZA_MINIMA = parseFloat(process.env.MAPEO_CONFIANZA_MINIMA || '0.70');
+// Categorización: frases en las que una keyword no indica el problema ("llegó a tiempo")
+const CONTEXTOS_EXCLUIDOS = {
+    'tiempo': ['a tiempo', 'en tiempo', 'buen tiempo', 'mismo tiempo', 'tiempo record'],
+    'caliente': ['bien caliente', 'muy caliente']
+};
+// Confianza mínima para reportar una categoría secundaria
+const CONFIANZA_MINIMA_SECUNDARIA = 0.5;
+// Confianza mínima del clasificador entrenado para usar su categoría cuando las keywords no encuentran nada
+const CONFIANZA_MINIMA_MODELO = parseFloat(process.env.CONFIANZA_MINIMA_MODELO || '0.60');
+
+// Similitud mínima para proponer una sucursal como candidata
+const SIMILITUD_MINIMA_SUCURSAL = 0.50;
+// Si las dos mejores candidatas quedan a menos de esto, el mapeo es ambiguo y pasa a revisión
+const MAPEO_MARGEN_AMBIGUEDAD = 0.05;
+// Geolocalización: radio máximo de búsqueda y distancia a la que la cercanía vale 0.5
+const RADIO_MAXIMO_KM = 50;
+const DISTANCIA_MEDIA_KM = 3;
+// Peso del texto vs. la distancia cuando hay ambos datos
+const PESO_TEXTO_MAPEO = 0.6;
+
+// Duplicados: el mismo cliente repitiendo la queja, o varias personas de la misma visita
+const DUPLICADO_VENTANA_HORAS = parseInt(process.env.DUPLICADO_VENTANA_HORAS || '48');
+const DUPLICADO_VENTANA_VISITA_HORAS = 3;
+const DUPLICADO_SIMILITUD_MISMO_CLIENTE = 0.60;
+const DUPLICADO_SIMILITUD_MISMA_VISITA = 0.75;
+
+// Evidencias (adjuntos): tamaño máximo por archivo que se guarda; de los mayores solo queda el registro
+const EVIDENCIA_MAX_BYTES = parseInt(process.env.EVIDENCIA_MAX_MB || '10') * 1024 * 1024;
+// Cada cuánto revisa el trabajador la cola de quejas (además de al encolar una)
+const COLA_INTERVALO_MS = parseInt(process.env.COLA_INTERVALO_MS || '5000');
+
+// Tiempo máximo de espera por cada llamada al proveedor de IA antes de usar las reglas
+const IA_TIMEOUT_MS = parseInt(process.env.IA_TIMEOUT_MS || '3000');
 
 class AnalizadorQuejas {
-    constructor() {
-        this.cargarCaches();
+    constructor(proveedor = crearProveedor()) {
+        // Proveedor externo opcional (LLM, NLP, mock); null = solo reglas locales
+        this.proveedor = proveedor;
+        // iniciarServidor (o el script que use el analizador) vuelve a cargar y maneja el error
+        this.cargarCaches().catch(error => console.error('Error cargando caches:', error.message));
     }
 
+    // Se llama al iniciar y después de cada cambio al catálogo; los caches nuevos
+    // se arman aparte y se reemplazan al final para no quedar vacíos a medio recargar.
+    // Si falla lanza el error: quien llama no debe reportar éxito con caches viejos
     async cargarCaches() {
+        let client;
         try {
-            const client = await pool.connect();
+            client = await pool.connect();
             
             // Cache de sucursales
             const sucursales = await client.query(`
-                SELECT s.id, s.nombre, s.external_key, m.nombre as municipio, e.codigo as estado
+                SELECT s.id, s.nombre, s.external_key, m.nombre as municipio, e.codigo as estado, e.nombre as estado_nombre,
+                       s.codigo_postal,
+                       COALESCE(s.lat, m.lat)::float as lat,
+                       COALESCE(s.lng, m.lng)::float as lng
                 FROM sucursales s
                 JOIN municipios m ON s.municipio_id = m.id
                 JOIN estados e ON m.estado_id = e.id
                 WHERE s.activa = true
             `);
 
-            sucursalesCache.clear();
+            const nuevasSucursales = new Map();
             sucursales.rows.forEach(row => {
-                sucursalesCache.set(row.nombre.toLowerCase(), row);
-                sucursalesCache.set(row.municipio.toLowerCase(), row);
-                sucursalesCache.set(row.external_key?.toString(), row);
+                nuevasSucursales.set(row.nombre.toLowerCase(), row);
+                nuevasSucursales.set(row.municipio.toLowerCase(), row);
+                nuevasSucursales.set(row.external_key?.toString(), row);
             });
 
             // Cache de categorías con keywords
             const categorias = await client.query(`
-                SELECT c.id, c.nombre, sc.nombre as subcategoria, sc.keywords
+                SELECT c.id, c.nombre, c.nivel_criticidad, c.tiempo_resolucion_esperado, c.requiere_seguimiento,
+                       sc.id as subcategoria_id, sc.nombre as subcategoria, sc.keywords
                 FROM categorias_quejas c
-                LEFT JOIN subcategorias_quejas sc ON c.id = sc.categoria_id
+                LEFT JOIN subcategorias_quejas sc ON c.id = sc.categoria_id AND sc.activa = true
+                WHERE c.activa = true
+                ORDER BY c.id, sc.id
             `);
 
-            categoriasCache.clear();
+            const nuevasCategorias = new Map();
             categorias.rows.forEach(row => {
-                if (!categoriasCache.has(row.id)) {
-                    categoriasCache.set(row.id, {
+                if (!nuevasCategorias.has(row.id)) {
+                    nuevasCategorias.set(row.id, {
                         id: row.id,
                         nombre: row.nombre,
+                        nivel_criticidad: row.nivel_criticidad,
+                        tiempo_resolucion_esperado: row.tiempo_resolucion_esperado,
+                        requiere_seguimiento: row.requiere_seguimiento,
                         subcategorias: []
                     });
                 }
                 if (row.subcategoria) {
-                    categoriasCache.get(row.id).subcategorias.push({
+                    nuevasCategorias.get(row.id).subcategorias.push({
+                        id: row.subcategoria_id,
                         nombre: row.subcategoria,
                         keywords: row.keywords || []
                     });
                 }
             });
 
-            console.log(`🧠 Caches cargados: ${sucursalesCache.size} sucursales, ${categoriasCache.size} categorías`);
-            client.release();
+            sucursalesCache = nuevasSucursales;
+            categoriasCache = nuevasCategorias;
 
-        } catch (error) {
-            console.error('Error cargando caches:', error);
+            await this.cargarLexico(client);
+
+            const modelo = await client.query(`
+                SELECT version, modelo, precision_holdout
+                FROM modelos_clasificador
+                WHERE activo = true
+                ORDER BY version DESC
+                LIMIT 1
+            `);
+            modeloCache = modelo.rows[0] || null;
+
+            const perfiles = await client.query(`
+                SELECT id, nombre, canal_origen, campos, formato_fecha, valores_defecto, activo
+                FROM perfiles_ingesta
+            `);
+            perfilesCache = new Map(perfiles.rows.map(perfil => [perfil.nombre, perfil]));
+
+            console.log(`🧠 Caches cargados: ${sucursalesCache.size} sucursales, ${categoriasCache.size} categorías, léxico v${lexicoCache.version ?? 'base'}, modelo ${modeloCache ? 'v' + modeloCache.version : 'sin entrenar'}, ${perfiles.rows.filter(p => p.activo).length} perfiles de ingesta`);
+
+        } finally {
+            client?.release();
+        }
+    }
+
+    async cargarLexico(client) {
+        const terminos = await client.query('SELECT termino, peso FROM lexico_sentimiento WHERE activo = true');
+        const version = await client.query('SELECT MAX(version) as version FROM versiones_lexico');
+
+        if (terminos.rows.length === 0) {
+            lexicoCache = { version: null, terminos: LEXICO_BASE };
+            return;
         }
+
+        lexicoCache = {
+            version: version.rows[0].version,
+            terminos: new Map(terminos.rows.map(row => [row.termino, parseFloat(row.peso)]))
+        };
     }
 
     // ===== ANÁLISIS DE IA =====
 
-    async procesarQuejaConIA(datosOriginales) {
+    async procesarQuejaConIA(datosOriginales, perfil = this.obtenerPerfil(), opciones = {}) {
+        // El proveedor de IA se consulta antes de abrir la transacción
+        const analisis = await this.analizarQueja(datosOriginales, perfil, opciones);
         const client = await pool.connect();
 
         try {
             await client.query('BEGIN');
-            
-            console.log('🧠 Procesando queja con IA:', datosOriginales);
+            const resultado = await this.insertarQueja(client, datosOriginales, perfil, analisis, opciones);
+            await client.query('COMMIT');
+            return resultado;
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('❌ Error procesando queja con IA:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
 
-            // 1. Normalizar datos básicos
-            const datosNormalizados = this.normalizarDatos(datosOriginales);
+    // Análisis de una queja (sentimiento, categoría, sucursal y resumen) sin escribir nada.
+    // Va fuera de cualquier transacción: las llamadas al proveedor de IA pueden tardar
+    // hasta IA_TIMEOUT_MS cada una y no deben retener una conexión ni bloqueos.
+    // opciones.tiempos: objeto donde se anota la duración de cada etapa (ver registro-ingesta.js)
+    // opciones.soloReglas: analizar sin el proveedor externo de IA (sin costo ni latencia)
+    async analizarQueja(datosOriginales, perfil = this.obtenerPerfil(), opciones = {}) {
+        // Sin el contenido: nombre, teléfono y texto son datos personales y la consola no tiene retención
+        console.log(`🧠 Procesando queja con IA (perfil ${perfil.nombre})`);
+        const tiempos = opciones.tiempos || {};
 
-            // 2. Análisis de sentimientos
-            const sentimientoAnalisis = await this.analizarSentimiento(client, datosNormalizados.descripcion);
+        // 1. Normalizar datos básicos con el perfil del canal
+        const datosNormalizados = this.normalizarDatos(datosOriginales, perfil);
 
-            // 3. Categorización automática
-            const categorizacion = await this.categorizarQueja(datosNormalizados.descripcion);
+        // Qué proveedor produjo cada campo del análisis
+        const procedencia = {};
+        const descripcion = datosNormalizados.descripcion;
 
-            // 4. Búsqueda inteligente de sucursal
-            const busquedaSucursal = await this.buscarSucursalInteligente(client, datosNormalizados.sucursal);
+        // 2. Análisis de sentimientos
+        const sentimientoAnalisis = await medirEtapa(tiempos, 'sentimiento', () => this.usarProveedor('sentimiento', 'analizarSentimiento', procedencia,
+            async (proveedor, signal) => validarSentimiento(await proveedor.analizarSentimiento(descripcion, { signal })),
+            () => this.analizarSentimiento(pool, descripcion), opciones.soloReglas));
 
-            // 5. Calcular urgencia
-            const urgencia = this.calcularUrgencia(sentimientoAnalisis, categorizacion);
+        // 3. Categorización automática (keywords + clasificador entrenado)
+        const categorizacion = await medirEtapa(tiempos, 'categorizacion', () => this.usarProveedor('categoria', 'categorizar', procedencia,
+            async (proveedor, signal) => validarCategoria(await proveedor.categorizar(descripcion, categoriasCache, { signal }), categoriasCache),
+            async () => this.aplicarClasificador(await this.categorizarQueja(descripcion), descripcion), opciones.soloReglas));
 
-            // 6. Extraer palabras clave
-            const palabrasClave = this.extraerPalabrasClave(datosNormalizados.descripcion);
+        // 4. Búsqueda inteligente de sucursal
+        const busquedaSucursal = await medirEtapa(tiempos, 'sucursal',
+            () => this.buscarSucursalInteligente(pool, datosNormalizados.sucursal, datosNormalizados.geo));
 
-            // 7. Obtener o crear cliente
-            const clienteId = await this.obtenerOCrearCliente(client, datosNormalizados);
+        // 5. Calcular urgencia
+        const urgencia = this.calcularUrgencia(sentimientoAnalisis, categorizacion);
 
-            // 8. Insertar queja con análisis de IA
-            const quejaResult = await client.query(`
-                INSERT INTO quejas (
-                    cliente_id,
-                    sucursal_id,
-                    descripcion,
-                    fecha_creacion,
-                    ubicacion_original,
-                    categoria_id,
-                    subcategoria_id,
-                    sentimiento,
-                    score_sentimiento,
-                    urgencia,
-                    palabras_clave,
-                    confianza_mapeo,
-                    sucursales_candidatas,
-                    canal_origen,
-                    datos_originales,
-                    analisis_ia
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
-                RETURNING id
-            `, [
-                clienteId,
-                busquedaSucursal.sucursal_id,
-                datosNormalizados.descripcion,
-                datosNormalizados.fecha_creacion,
-                datosNormalizados.sucursal,
-                categorizacion.categoria_id,
-                categorizacion.subcategoria_id,
-                sentimientoAnalisis.sentimiento,
-                sentimientoAnalisis.score,
+        // 6. Extraer palabras clave
+        const palabrasClave = this.extraerPalabrasClave(datosNormalizados.descripcion);
+
+        // 6b. Fecha límite de resolución (SLA) según la categoría
+        const sla = this.calcularSLA(categorizacion, datosNormalizados.fecha_creacion);
+
+        // 6c. Resumen de una línea (frase clave + categoría + entidades)
+        const contextoResumen = {
+            categoria: categorizacion.categoria_nombre,
+            subcategoria: categorizacion.subcategoria_nombre,
+            // Solo una sucursal encontrada; no 'No encontrada', 'Ambigua' ni 'Sin especificar'
+            sucursal: busquedaSucursal.sucursal_id ? busquedaSucursal.sucursal_nombre : null,
+            terminos: (sentimientoAnalisis.terminos || []).map(t => t.termino),
+            palabras_clave: [categorizacion.keyword_encontrada, ...palabrasClave].filter(Boolean)
+        };
+        const resumen = await medirEtapa(tiempos, 'resumen', () => this.usarProveedor('resumen', 'resumir', procedencia,
+            async (proveedor, signal) => validarResumen(await proveedor.resumir(descripcion, contextoResumen, { signal })),
+            () => generarResumen(descripcion, contextoResumen), opciones.soloReglas));
+
+        return { datosNormalizados, procedencia, sentimientoAnalisis, categorizacion, busquedaSucursal, urgencia, palabrasClave, sla, resumen };
+    }
+
+    // Inserta una queja ya analizada (analizarQueja) dentro de la transacción de quien llama
+    // (una queja del webhook o de la cola, o un lote de la importación masiva).
+    // opciones.tiempos recibe la etapa 'insercion'; opciones.evidencias: adjuntos del canal
+    async insertarQueja(client, datosOriginales, perfil, analisis, opciones = {}) {
+        const { datosNormalizados, procedencia, sentimientoAnalisis, categorizacion, busquedaSucursal, urgencia, palabrasClave, sla, resumen } = analisis;
+        const descripcion = datosNormalizados.descripcion;
+        const tiempos = opciones.tiempos || {};
+
+        // 7-10. Lo que sigue (cliente, duplicados, inserción, historial...) cuenta como etapa de inserción
+        const inicioInsercion = performance.now();
+
+        // Contar el uso del alias aprendido con el que se encontró la sucursal
+        if (busquedaSucursal.alias_encontrado) {
+            await client.query(
+                'UPDATE alias_sucursales SET veces_usado = veces_usado + 1 WHERE alias = $1 AND sucursal_id = $2',
+                [busquedaSucursal.alias_encontrado, busquedaSucursal.sucursal_id]
+            );
+        }
+
+        // 7. Obtener o crear cliente
+        const clienteId = await this.obtenerOCrearCliente(client, datosNormalizados);
+
+        // 7b. ¿Es repetición de una queja reciente?
+        const duplicado = await this.buscarDuplicado(client, {
+            clienteId,
+            telefono: datosNormalizados.telefono,
+            sucursalId: busquedaSucursal.sucursal_id,
+            descripcion,
+            fecha: datosNormalizados.fecha_creacion
+        });
+
+        // 8. Insertar queja con análisis de IA
+        const quejaResult = await client.query(`
+            INSERT INTO quejas (
+                cliente_id,
+                sucursal_id,
+                descripcion,
+                fecha_creacion,
+                ubicacion_original,
+                categoria_id,
+                subcategoria_id,
+                sentimiento,
+                score_sentimiento,
                 urgencia,
-                palabrasClave,
-                busquedaSucursal.confianza,
-                busquedaSucursal.candidatas,
-                'google_sheets',
-                JSON.stringify(datosOriginales),
-                JSON.stringify({
-                    procesado_en: new Date(),
-                    sentimiento: sentimientoAnalisis,
-                    categoria: categorizacion,
-                    mapeo_sucursal: busquedaSucursal,
-                    urgencia_calculada: urgencia,
-                    palabras_clave_extraidas: palabrasClave
-                })
-            ]);
+                palabras_clave,
+                confianza_mapeo,
+                sucursales_candidatas,
+                canal_origen,
+                datos_originales,
+                analisis_ia,
+                fecha_limite_sla,
+                version_lexico,
+                resumen_ia,
+                queja_padre_id,
+                similitud_duplicado
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21)
+            RETURNING id
+        `, [
+            clienteId,
+            busquedaSucursal.sucursal_id,
+            datosNormalizados.descripcion,
+            datosNormalizados.fecha_creacion,
+            datosNormalizados.sucursal,
+            categorizacion.categoria_id,
+            categorizacion.subcategoria_id,
+            sentimientoAnalisis.sentimiento,
+            sentimientoAnalisis.score,
+            urgencia,
+            palabrasClave,
+            busquedaSucursal.confianza,
+            busquedaSucursal.candidatas,
+            perfil.canal_origen,
+            // Se guarda todo lo recibido, incluidos los campos que el perfil no mapea
+            JSON.stringify(datosOriginales),
+            JSON.stringify({
+                procesado_en: new Date(),
+                sentimiento: sentimientoAnalisis,
+                categoria: categorizacion,
+                mapeo_sucursal: busquedaSucursal,
+                urgencia_calculada: urgencia,
+                palabras_clave_extraidas: palabrasClave,
+                sla: sla,
+                resumen: resumen,
+                proveedores: procedencia,
+                duplicado: duplicado,
+                ingesta: {
+                    perfil: perfil.nombre,
+                    campos_sin_mapear: datosNormalizados.campos_sin_mapear,
+                    fecha_invalida: datosNormalizados.fecha_invalida
+                }
+            }),
+            // El SLA lo lleva la queja original
+            duplicado ? null : sla.fecha_limite,
+            sentimientoAnalisis.version_lexico ?? null,
+            resumen,
+            duplicado?.queja_padre_id ?? null,
+            duplicado?.similitud ?? null
+        ]);
+
+        const quejaId = quejaResult.rows[0].id;
+
+        // Registrar estado inicial en el historial
+        await client.query(`
+            INSERT INTO historial_estados_queja (queja_id, estado_anterior, estado_nuevo, comentario, usuario)
+            VALUES ($1, NULL, 'pendiente', $2, 'sistema')
+        `, [quejaId, duplicado ? `Queja recibida (duplicada de #${duplicado.queja_padre_id})` : 'Queja recibida']);
 
-            const quejaId = quejaResult.rows[0].id;
+        // 8b. Adjuntos del canal (fotos, tickets) como evidencia
+        const evidencias = await this.guardarEvidencias(client, quejaId, opciones.evidencias || [], perfil.canal_origen);
 
-            // 9. Actualizar estadísticas del cliente
-            await this.actualizarEstadisticasCliente(client, clienteId);
+        // 9. Actualizar estadísticas del cliente
+        await this.actualizarEstadisticasCliente(client, clienteId);
 
-            // 10. Generar insights si es necesario
+        // 10. Generar insights si es necesario (la original ya los generó)
+        if (!duplicado) {
             await this.generarInsightsSiEsNecesario(client, quejaId, categorizacion, urgencia);
+        }
+        tiempos.insercion = milisegundosDesde(inicioInsercion);
 
-            await client.query('COMMIT');
+        console.log(`✅ Queja ${quejaId} procesada con IA exitosamente`);
+        console.log(`   Sentimiento: ${sentimientoAnalisis.sentimiento} (${sentimientoAnalisis.score})`);
+        console.log(`   Categoría: ${categorizacion.categoria_nombre}`);
+        console.log(`   Urgencia: ${urgencia}/5`);
+        console.log(`   Sucursal: ${busquedaSucursal.sucursal_nombre} (confianza: ${busquedaSucursal.confianza})`);
+        if (duplicado) {
+            console.log(`   Duplicada de: #${duplicado.queja_padre_id} (${duplicado.criterio}, similitud ${duplicado.similitud})`);
+        }
 
-            console.log(`✅ Queja ${quejaId} procesada con IA exitosamente`);
-            console.log(`   Sentimiento: ${sentimientoAnalisis.sentimiento} (${sentimientoAnalisis.score})`);
-            console.log(`   Categoría: ${categorizacion.categoria_nombre}`);
-            console.log(`   Urgencia: ${urgencia}/5`);
-            console.log(`   Sucursal: ${busquedaSucursal.sucursal_nombre} (confianza: ${busquedaSucursal.confianza})`);
+        return {
+            success: true,
+            queja_id: quejaId,
+            analisis: {
+                sentimiento: sentimientoAnalisis.sentimiento,
+                categoria: categorizacion.categoria_nombre,
+                categorias_secundarias: categorizacion.secundarias.map(c => c.categoria_nombre),
+                urgencia: urgencia,
+                sucursal: busquedaSucursal.sucursal_nombre,
+                confianza_mapeo: busquedaSucursal.confianza,
+                alias_sucursal: busquedaSucursal.alias_encontrado,
+                distancia_km: busquedaSucursal.distancia_km ?? null,
+                fecha_limite_sla: duplicado ? null : sla.fecha_limite
+            },
+            evidencias: evidencias,
+            duplicado: duplicado
+        };
+    }
 
-            return {
-                success: true,
-                queja_id: quejaId,
-                analisis: {
-                    sentimiento: sentimientoAnalisis.sentimiento,
-                    categoria: categorizacion.categoria_nombre,
-                    urgencia: urgencia,
-                    sucursal: busquedaSucursal.sucursal_nombre,
-                    confianza_mapeo: busquedaSucursal.confianza
+    // Intenta el campo con el proveedor externo (con timeout, que cancela la llamada); si no lo soporta, falla o
+    // responde algo inválido, usa el respaldo basado en reglas. Anota la procedencia.
+    // soloReglas: no llama al proveedor (p. ej. una importación en simulación)
+    async usarProveedor(campo, metodo, procedencia, llamada, respaldo, soloReglas = false) {
+        if (!soloReglas && this.proveedor && typeof this.proveedor[metodo] === 'function') {
+            try {
+                const resultado = await conTimeout(signal => llamada(this.proveedor, signal), IA_TIMEOUT_MS, `${this.proveedor.nombre}.${metodo}`);
+                if (resultado !== null && resultado !== undefined) {
+                    procedencia[campo] = this.proveedor.nombre;
+                    return resultado;
                 }
-            };
-
-        } catch (error) {
-            await client.query('ROLLBACK');
-            console.error('❌ Error procesando queja con IA:', error);
-            throw error;
-        } finally {
-            client.release();
+                procedencia.errores = { ...procedencia.errores, [campo]: 'respuesta inválida' };
+            } catch (error) {
+                console.warn(`⚠️ Proveedor IA (${campo}) falló, usando reglas:`, error.message);
+                procedencia.errores = { ...procedencia.errores, [campo]: error.message };
+            }
         }
+
+        const resultado = await respaldo();
+        procedencia[campo] = resultado !== null && resultado !== undefined ? 'reglas' : null;
+        return resultado;
     }
 
+    // Score continuo (-1 a 1) con negación, intensificadores y emojis; ver sentimiento-ia.js
     async analizarSentimiento(client, texto) {
-        const result = await client.query('SELECT * FROM analizar_sentimiento_basico($1)', [texto]);
-        return result.rows[0];
+        const resultado = analizarSentimientoTexto(texto, lexicoCache.terminos);
+        return {
+            ...resultado,
+            motor: 'lexico_es',
+            version_lexico: lexicoCache.version
+        };
     }
 
+    // Califica todas las categorías por palabras completas (comparando raíces) y regresa
+    // una categoría principal más las secundarias, cada una con su confianza
     async categorizarQueja(descripcion) {
-        const descripcionLower = descripcion.toLowerCase();
-        
-        // Buscar categoría por keywords
+        const tokens = normalizarTexto(descripcion).split(' ').filter(Boolean);
+        const raices = tokens.map(raizPalabra);
+        const ranking = [];
+
         for (const [categoriaId, categoria] of categoriasCache) {
-            for (const subcategoria of categoria.subcategorias) {
-                for (const keyword of subcategoria.keywords) {
-                    if (descripcionLower.includes(keyword.toLowerCase())) {
-                        return {
-                            categoria_id: categoriaId,
-                            categoria_nombre: categoria.nombre,
-                            subcategoria_id: subcategoria.id,
-                            subcategoria_nombre: subcategoria.nombre,
-                            keyword_encontrada: keyword
-                        };
-                    }
-                }
-            }
+            const subcategorias = categoria.subcategorias
+                .map(subcategoria => {
+                    // "frio" y "fría" tienen la misma raíz: cuentan una sola vez
+                    const vistas = new Set();
+                    const keywords = subcategoria.keywords.filter(keyword => {
+                        const raiz = normalizarTexto(keyword).split(' ').map(raizPalabra).join(' ');
+                        if (vistas.has(raiz) || !this.contieneKeyword(tokens, raices, keyword)) return false;
+                        vistas.add(raiz);
+                        return true;
+                    });
+                    // Las keywords de varias palabras son más específicas
+                    const puntaje = keywords.reduce((suma, keyword) => suma + (keyword.trim().includes(' ') ? 1.5 : 1), 0);
+                    return { id: subcategoria.id, nombre: subcategoria.nombre, keywords, puntaje };
+                })
+                .filter(subcategoria => subcategoria.puntaje > 0)
+                .sort((a, b) => b.puntaje - a.puntaje);
+
+            if (subcategorias.length === 0) continue;
+
+            // La mejor subcategoría cuenta completa; las demás suman la mitad
+            const puntaje = subcategorias[0].puntaje +
+                subcategorias.slice(1).reduce((suma, sub) => suma + sub.puntaje * 0.5, 0);
+
+            ranking.push({
+                categoria_id: categoriaId,
+                categoria_nombre: categoria.nombre,
+                subcategoria_id: subcategorias[0].id,
+                subcategoria_nombre: subcategorias[0].nombre,
+                nivel_criticidad: categoria.nivel_criticidad,
+                puntaje: puntaje,
+                confianza: Math.round((1 - Math.exp(-puntaje)) * 100) / 100,
+                keywords: subcategorias.flatMap(sub => sub.keywords),
+                subcategorias: subcategorias
+            });
+        }
+
+        ranking.sort((a, b) => b.puntaje - a.puntaje || (b.nivel_criticidad || 0) - (a.nivel_criticidad || 0));
+
+        if (ranking.length === 0) {
+            // Categoría por defecto
+            return {
+                categoria_id: 10, // Satisfacción General
+                categoria_nombre: 'Satisfacción General',
+                subcategoria_id: null,
+                subcategoria_nombre: null,
+                keyword_encontrada: null,
+                confianza: 0,
+                secundarias: [],
+                ranking: []
+            };
         }
 
-        // Categoría por defecto
+        const [principal, ...resto] = ranking;
+
         return {
-            categoria_id: 10, // Satisfacción General
-            categoria_nombre: 'Satisfacción General',
-            subcategoria_id: null,
-            subcategoria_nombre: null,
-            keyword_encontrada: null
+            categoria_id: principal.categoria_id,
+            categoria_nombre: principal.categoria_nombre,
+            subcategoria_id: principal.subcategoria_id,
+            subcategoria_nombre: principal.subcategoria_nombre,
+            keyword_encontrada: principal.keywords[0],
+            confianza: principal.confianza,
+            secundarias: resto
+                .filter(c => c.confianza >= CONFIANZA_MINIMA_SECUNDARIA)
+                .map(c => ({
+                    categoria_id: c.categoria_id,
+                    categoria_nombre: c.categoria_nombre,
+                    subcategoria_id: c.subcategoria_id,
+                    subcategoria_nombre: c.subcategoria_nombre,
+                    confianza: c.confianza
+                })),
+            ranking: ranking
         };
     }
 
-    async buscarSucursalInteligente(client, ubicacionOriginal) {
-        if (!ubicacionOriginal) {
+    // Agrega la predicción del clasificador entrenado; si las keywords no encontraron
+    // nada y el modelo tiene suficiente confianza, su categoría pasa a ser la principal
+    aplicarClasificador(categorizacion, descripcion) {
+        categorizacion.fuente = 'keywords';
+
+        if (!modeloCache) {
+            categorizacion.modelo = null;
+            return categorizacion;
+        }
+
+        const prediccion = predecirCategoria(modeloCache.modelo, descripcion);
+        const categoria = prediccion && categoriasCache.get(prediccion.categoria_id);
+
+        categorizacion.modelo = prediccion ? {
+            version: modeloCache.version,
+            categoria_id: prediccion.categoria_id,
+            categoria_nombre: categoria?.nombre || null,
+            confianza: prediccion.confianza,
+            ranking: prediccion.ranking
+        } : null;
+
+        const sinKeywords = categorizacion.ranking.length === 0;
+        if (sinKeywords && categoria && prediccion.confianza >= CONFIANZA_MINIMA_MODELO) {
+            categorizacion.categoria_id = prediccion.categoria_id;
+            categorizacion.categoria_nombre = categoria.nombre;
+            categorizacion.subcategoria_id = null;
+            categorizacion.subcategoria_nombre = null;
+            categorizacion.confianza = prediccion.confianza;
+            categorizacion.fuente = 'modelo';
+        }
+
+        return categorizacion;
+    }
+
+    // Busca la keyword como palabra(s) completa(s), comparando raíces ("sucias" ~ "sucio")
+    contieneKeyword(tokens, raices, keyword) {
+        const raicesKeyword = normalizarTexto(keyword).split(' ').filter(Boolean).map(raizPalabra);
+        if (raicesKeyword.length === 0) return false;
+
+        const exclusiones = (CONTEXTOS_EXCLUIDOS[normalizarTexto(keyword)] || [])
+            .map(frase => frase.split(' ').map(raizPalabra));
+
+        for (let i = 0; i + raicesKeyword.length <= raices.length; i++) {
+            if (!raicesKeyword.every((raiz, j) => raices[i + j] === raiz)) continue;
+
+            const excluida = exclusiones.some(frase => {
+                const posicion = frase.indexOf(raicesKeyword[0]);
+                const inicio = i - Math.max(posicion, 0);
+                return inicio >= 0 && frase.every((raiz, j) => raices[inicio + j] === raiz);
+            });
+
+            if (!excluida) return true;
+        }
+
+        return false;
+    }
+
+    async buscarSucursalInteligente(client, ubicacionOriginal, geo = null) {
+        const origen = this.resolverOrigenGeografico(geo);
+
+        if (!ubicacionOriginal && !origen) {
             return {
                 sucursal_id: null,
                 sucursal_nombre: 'Sin especificar',
                 confianza: 0.00,
-                candidatas: []
+                candidatas: [],
+                alias_encontrado: null
+            };
+        }
+
+        // Primero los alias aprendidos de revisiones anteriores (insertarQueja cuenta su uso)
+        const alias = ubicacionOriginal ? await client.query(`
+            SELECT a.alias, s.id as sucursal_id, s.nombre
+            FROM alias_sucursales a
+            JOIN sucursales s ON a.sucursal_id = s.id
+            WHERE a.alias = $1
+            AND a.activo = true
+            AND s.activa = true
+        `, [this.normalizarAlias(ubicacionOriginal)]) : { rows: [] };
+
+        if (alias.rows.length > 0) {
+            return {
+                sucursal_id: alias.rows[0].sucursal_id,
+                sucursal_nombre: alias.rows[0].nombre,
+                confianza: 0.95,
+                candidatas: [alias.rows[0].sucursal_id],
+                alias_encontrado: alias.rows[0].alias
             };
         }
 
-        const result = await client.query('SELECT * FROM buscar_sucursales_inteligente($1, 3)', [ubicacionOriginal]);
+        let rows;
+        if (sucursalesCache.size > 0) {
+            // Búsqueda difusa en memoria, combinada con la distancia si hay coordenadas
+            const porTexto = ubicacionOriginal ? this.rankearSucursales(ubicacionOriginal, origen ? 10 : 3) : [];
+            rows = origen ? this.combinarTextoYDistancia(porTexto, origen, 3) : porTexto;
+        } else {
+            // La función SQL queda como respaldo si el cache no cargó
+            rows = ubicacionOriginal
+                ? (await client.query('SELECT * FROM buscar_sucursales_inteligente($1, 3)', [ubicacionOriginal])).rows
+                : [];
+        }
         
-        if (result.rows.length === 0) {
+        if (rows.length === 0) {
             return {
                 sucursal_id: null,
                 sucursal_nombre: 'No encontrada',
                 confianza: 0.00,
-                candidatas: []
+                candidatas: [],
+                alias_encontrado: null,
+                origen_geografico: origen
             };
         }
 
-        const mejor = result.rows[0];
-        const candidatas = result.rows.map(r => r.sucursal_id);
+        const mejor = rows[0];
+        const candidatas = rows.map(r => r.sucursal_id);
+
+        // "centro" o "san" se parecen igual a varias sucursales: no se asigna ninguna,
+        // la queja queda en /api/mapeo/pendientes con las candidatas
+        const ambiguedad = this.motivoAmbiguedad(ubicacionOriginal, rows, origen);
+        if (ambiguedad) {
+            return {
+                sucursal_id: null,
+                sucursal_nombre: 'Ambigua',
+                confianza: parseFloat(mejor.confianza),
+                razon: ambiguedad,
+                ambigua: true,
+                candidatas: candidatas,
+                candidatas_detalle: rows,
+                alias_encontrado: null,
+                origen_geografico: origen
+            };
+        }
 
         return {
             sucursal_id: mejor.sucursal_id,
             sucursal_nombre: mejor.nombre,
             confianza: parseFloat(mejor.confianza),
-            candidatas: candidatas
+            razon: mejor.razon,
+            distancia_km: mejor.distancia_km ?? null,
+            candidatas: candidatas,
+            candidatas_detalle: rows,
+            alias_encontrado: null,
+            origen_geografico: origen
+        };
+    }
+
+    // Regresa por qué el mejor resultado no se puede asignar solo, o null si no hay duda
+    motivoAmbiguedad(ubicacion, rows, origen) {
+        const [mejor, segunda] = rows;
+        if (mejor.razon === 'ID exacto') return null;
+
+        if (segunda && Math.round((mejor.confianza - segunda.confianza) * 100) < MAPEO_MARGEN_AMBIGUEDAD * 100) {
+            return `Empate entre candidatas (${mejor.confianza} vs ${segunda.confianza})`;
+        }
+
+        // Una sola palabra que aparece en varias sucursales o ciudades; con coordenadas decide la distancia
+        const tokens = ubicacion ? tokenizar(ubicacion) : [];
+        if (!origen && tokens.length === 1) {
+            const conPalabra = this.sucursalesUnicas().filter(sucursal =>
+                tokenizar(`${quitarPrefijoSucursal(sucursal.nombre)} ${sucursal.municipio || ''}`).includes(tokens[0]));
+            if (conPalabra.length > 1) {
+                return `"${tokens[0]}" aparece en ${conPalabra.length} sucursales`;
+            }
+        }
+
+        return null;
+    }
+
+    // Sucursal mencionada en un texto libre (correo): "sucursal Cumbres", "en el de San Pedro",
+    // o el nombre de una sucursal o ciudad del catálogo. Regresa el fragmento para
+    // buscarSucursalInteligente, o null si no menciona ninguna
+    inferirSucursalDeTexto(texto) {
+        const normalizado = ` ${normalizarTexto(texto)} `;
+        if (!normalizado.trim()) return null;
+
+        // Después de "sucursal ..." se prueba con 1 a 4 palabras y se queda el fragmento más parecido
+        const mencion = normalizado.match(/\b(?:sucursal|restaurante|tienda|local|pollo loco)(?: de| en)?(?: la| el)? ((?:[a-z0-9]+ ?){1,4})/);
+        if (mencion) {
+            const palabras = mencion[1].trim().split(' ');
+            let mejorMencion = null;
+            for (let n = 1; n <= palabras.length; n++) {
+                const fragmento = palabras.slice(0, n).join(' ');
+                const [candidata] = this.rankearSucursales(fragmento, 1);
+                if (candidata && (!mejorMencion || candidata.confianza > mejorMencion.confianza)) {
+                    mejorMencion = { fragmento, confianza: candidata.confianza };
+                }
+            }
+            if (mejorMencion) return mejorMencion.fragmento;
+        }
+
+        // El nombre más largo que aparezca completo gana ("san nicolas" sobre "nicolas")
+        let mejor = null;
+        this.sucursalesUnicas().forEach(sucursal => {
+            [quitarPrefijoSucursal(sucursal.nombre), sucursal.municipio].forEach(nombre => {
+                const buscado = normalizarTexto(nombre);
+                if (buscado.length >= 4 && normalizado.includes(` ${buscado} `) && (!mejor || buscado.length > mejor.length)) {
+                    mejor = buscado;
+                }
+            });
+        });
+
+        return mejor;
+    }
+
+    // Ordena las sucursales del cache por similitud (0-1) con el texto del cliente,
+    // ignorando acentos, prefijos numéricos ("10 - ") y errores de escritura
+    rankearSucursales(ubicacion, limite = 3) {
+        const busqueda = normalizarTexto(ubicacion);
+        const tokens = tokenizar(ubicacion);
+
+        const resultados = [];
+        this.sucursalesUnicas().forEach(sucursal => {
+            const nombre = quitarPrefijoSucursal(sucursal.nombre);
+            const opciones = [
+                [similitudTexto(busqueda, nombre), 'Nombre similar'],
+                [similitudTexto(busqueda, sucursal.municipio) * 0.85, 'Ciudad similar']
+            ];
+
+            // "barragan san nicolas": solo cuenta si menciona tanto el nombre como la ciudad
+            if (coberturaPalabras(busqueda, nombre) > 0 && coberturaPalabras(busqueda, sucursal.municipio) > 0) {
+                opciones.push([similitudTexto(busqueda, `${nombre} ${sucursal.municipio}`), 'Nombre y ciudad']);
+            }
+
+            if (tokens.length === 1 && tokens[0] === sucursal.external_key?.toString()) {
+                opciones.push([1.00, 'ID exacto']);
+            }
+            if (busqueda === sucursal.estado?.toLowerCase() || similitudTexto(busqueda, sucursal.estado_nombre) >= 0.9) {
+                opciones.push([0.60, 'Estado']);
+            }
+
+            const [confianza, razon] = opciones.reduce((mejor, opcion) => opcion[0] > mejor[0] ? opcion : mejor);
+
+            if (confianza >= SIMILITUD_MINIMA_SUCURSAL) {
+                resultados.push({
+                    sucursal_id: sucursal.id,
+                    nombre: sucursal.nombre,
+                    municipio: sucursal.municipio,
+                    estado: sucursal.estado_nombre,
+                    confianza: Math.round(confianza * 100) / 100,
+                    razon: razon
+                });
+            }
+        });
+
+        return resultados
+            .sort((a, b) => b.confianza - a.confianza || a.nombre.localeCompare(b.nombre))
+            .slice(0, limite);
+    }
+
+    // El cache indexa cada sucursal por varias llaves; esto regresa cada una una sola vez
+    sucursalesUnicas() {
+        const sucursales = new Map();
+        sucursalesCache.forEach(sucursal => sucursales.set(sucursal.id, sucursal));
+        return Array.from(sucursales.values());
+    }
+
+    // Punto de origen a partir de GPS o, si no hay, del código postal de sucursales conocidas
+    // (solo las que tienen sucursales.codigo_postal; ver el setup)
+    resolverOrigenGeografico(geo) {
+        if (!geo) return null;
+
+        const lat = parseFloat(geo.lat);
+        const lng = parseFloat(geo.lng);
+        if (!isNaN(lat) && !isNaN(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180 && (lat !== 0 || lng !== 0)) {
+            return { lat, lng, fuente: 'gps' };
+        }
+
+        const cp = geo.codigo_postal?.toString().replace(/\D/g, '');
+        if (cp && cp.length === 5) {
+            const conCoordenadas = this.sucursalesUnicas().filter(s => s.codigo_postal && s.lat !== null && s.lng !== null);
+            // Mismo código postal o, si no hay, misma zona postal (3 primeros dígitos)
+            let mismas = conCoordenadas.filter(s => s.codigo_postal === cp);
+            let fuente = 'codigo_postal';
+            if (mismas.length === 0) {
+                mismas = conCoordenadas.filter(s => s.codigo_postal.startsWith(cp.substring(0, 3)));
+                fuente = 'zona_postal';
+            }
+            if (mismas.length > 0) {
+                return {
+                    lat: mismas.reduce((suma, s) => suma + s.lat, 0) / mismas.length,
+                    lng: mismas.reduce((suma, s) => suma + s.lng, 0) / mismas.length,
+                    fuente: fuente,
+                    codigo_postal: cp
+                };
+            }
+        }
+
+        return null;
+    }
+
+    sucursalesCercanas(origen, limite = 5) {
+        return this.sucursalesUnicas()
+            .filter(s => s.lat !== null && s.lng !== null)
+            .map(s => ({
+                sucursal_id: s.id,
+                nombre: s.nombre,
+                municipio: s.municipio,
+                estado: s.estado_nombre,
+                distancia_km: Math.round(this.distanciaKm(origen.lat, origen.lng, s.lat, s.lng) * 10) / 10
+            }))
+            .filter(s => s.distancia_km <= RADIO_MAXIMO_KM)
+            .sort((a, b) => a.distancia_km - b.distancia_km)
+            .slice(0, limite);
+    }
+
+    // Mezcla similitud de texto y cercanía en una sola confianza 0-1
+    combinarTextoYDistancia(porTexto, origen, limite = 3) {
+        const candidatas = new Map();
+
+        porTexto.forEach(c => candidatas.set(c.sucursal_id, { ...c, similitud_texto: c.confianza }));
+        this.sucursalesCercanas(origen, 5).forEach(c => {
+            if (!candidatas.has(c.sucursal_id)) {
+                candidatas.set(c.sucursal_id, { ...c, similitud_texto: 0, razon: null });
+            }
+        });
+
+        const sucursales = new Map(this.sucursalesUnicas().map(s => [s.id, s]));
+        const hayTexto = porTexto.length > 0;
+
+        return Array.from(candidatas.values())
+            .map(c => {
+                const sucursal = sucursales.get(c.sucursal_id);
+                const distancia = sucursal && sucursal.lat !== null && sucursal.lng !== null
+                    ? Math.round(this.distanciaKm(origen.lat, origen.lng, sucursal.lat, sucursal.lng) * 10) / 10
+                    : null;
+                const cercania = distancia !== null ? 1 / (1 + distancia / DISTANCIA_MEDIA_KM) : 0;
+                const confianza = hayTexto
+                    ? PESO_TEXTO_MAPEO * c.similitud_texto + (1 - PESO_TEXTO_MAPEO) * cercania
+                    : 0.85 * cercania;
+
+                return {
+                    ...c,
+                    distancia_km: distancia,
+                    cercania: Math.round(cercania * 100) / 100,
+                    confianza: Math.round(confianza * 100) / 100,
+                    razon: c.razon ? (distancia !== null ? `${c.razon} + distancia` : c.razon) : 'Distancia'
+                };
+            })
+            .sort((a, b) => b.confianza - a.confianza || (a.distancia_km ?? Infinity) - (b.distancia_km ?? Infinity))
+            .slice(0, limite);
+    }
+
+    calcularSLA(categorizacion, fechaCreacion) {
+        const categoria = categoriasCache.get(categorizacion.categoria_id);
+        const minutos = categoria?.tiempo_resolucion_esperado;
+
+        if (!minutos) {
+            return { minutos_esperados: null, fecha_limite: null, requiere_seguimiento: false };
+        }
+
+        return {
+            minutos_esperados: minutos,
+            fecha_limite: new Date(fechaCreacion.getTime() + minutos * 60000),
+            requiere_seguimiento: !!categoria.requiere_seguimiento
         };
     }
 
     calcularUrgencia(sentimiento, categoria) {
         let urgencia = 1; // Base
 
-        // Ajustar por sentimiento
-        if (sentimiento.sentimiento === 'muy_negativo') urgencia += 2;
-        else if (sentimiento.sentimiento === 'negativo') urgencia += 1;
+        // Ajustar por sentimiento
+        if (sentimiento.sentimiento === 'muy_negativo') urgencia += 2;
+        else if (sentimiento.sentimiento === 'negativo') urgencia += 1;
+
+        // Ajustar por categoría (basado en criticidad)
+        if (categoria.categoria_nombre === 'Higiene y Limpieza') urgencia += 2;
+        else if (categoria.categoria_nombre === 'Calidad del Producto') urgencia += 1;
+        else if (categoria.categoria_nombre === 'Personal') urgencia += 1;
+
+        // Palabras que indican urgencia extrema
+        const palabrasUrgentes = ['intoxicación', 'enfermo', 'vómito', 'ambulancia', 'hospital'];
+        const descripcionLower = categoria.descripcion?.toLowerCase() || '';
+        
+        if (palabrasUrgentes.some(palabra => descripcionLower.includes(palabra))) {
+            urgencia = 5; // Máxima urgencia
+        }
+
+        return Math.min(urgencia, 5); // Máximo 5
+    }
+
+    extraerPalabrasClave(descripcion) {
+        const palabrasComunes = ['el', 'la', 'de', 'que', 'y', 'a', 'en', 'un', 'es', 'se', 'no', 'te', 'lo', 'le', 'da', 'su', 'por', 'son', 'con', 'para', 'al', 'del', 'está', 'muy', 'me', 'pero', 'todo', 'mi', 'fue', 'era'];
+        
+        const palabras = descripcion.toLowerCase()
+            .replace(/[^\w\s]/g, ' ')
+            .split(/\s+/)
+            .filter(palabra => 
+                palabra.length > 3 && 
+                !palabrasComunes.includes(palabra) &&
+                isNaN(palabra)
+            );
+
+        // Contar frecuencia
+        const frecuencia = {};
+        palabras.forEach(palabra => {
+            frecuencia[palabra] = (frecuencia[palabra] || 0) + 1;
+        });
+
+        // Tomar las 5 más frecuentes
+        return Object.entries(frecuencia)
+            .sort(([,a], [,b]) => b - a)
+            .slice(0, 5)
+            .map(([palabra]) => palabra);
+    }
+
+    // Quejas recientes del mismo teléfono, o de la misma sucursal en la misma visita, con texto parecido.
+    // Regresa la queja original (si la coincidencia ya era duplicada, su padre) o null
+    async buscarDuplicado(client, { clienteId, telefono, sucursalId, descripcion, fecha }) {
+        if (!telefono && !sucursalId) return null;
+
+        const recientes = await client.query(`
+            SELECT id, COALESCE(queja_padre_id, id) as padre_id, cliente_id, sucursal_id, descripcion, fecha_creacion
+            FROM quejas
+            WHERE fecha_creacion BETWEEN $1::timestamp - make_interval(hours => $2)
+                                     AND $1::timestamp + make_interval(hours => $2)
+            AND (cliente_id = $3 OR sucursal_id = $4)
+            ORDER BY fecha_creacion DESC
+            LIMIT 100
+        `, [fecha, DUPLICADO_VENTANA_HORAS, telefono ? clienteId : null, sucursalId]);
+
+        let mejor = null;
+
+        recientes.rows.forEach(queja => {
+            const mismoCliente = telefono && queja.cliente_id === clienteId;
+            const otraSucursal = sucursalId && queja.sucursal_id && queja.sucursal_id !== sucursalId;
+            const horas = Math.abs(new Date(queja.fecha_creacion) - new Date(fecha)) / 3600000;
+
+            let criterio = null;
+            let minima = null;
+            if (mismoCliente && !otraSucursal) {
+                criterio = 'mismo_cliente';
+                minima = DUPLICADO_SIMILITUD_MISMO_CLIENTE;
+            } else if (!mismoCliente && sucursalId && queja.sucursal_id === sucursalId && horas <= DUPLICADO_VENTANA_VISITA_HORAS) {
+                criterio = 'misma_visita';
+                minima = DUPLICADO_SIMILITUD_MISMA_VISITA;
+            }
+            if (!criterio) return;
+
+            const similitud = similitudSimetrica(descripcion, queja.descripcion);
+            if (similitud >= minima && (!mejor || similitud > mejor.similitud)) {
+                mejor = {
+                    queja_padre_id: queja.padre_id,
+                    queja_coincidente_id: queja.id,
+                    criterio,
+                    similitud: Math.round(similitud * 100) / 100,
+                    horas_diferencia: Math.round(horas * 10) / 10
+                };
+            }
+        });
+
+        return mejor;
+    }
+
+    async actualizarEstadisticasCliente(client, clienteId) {
+        await client.query(`
+            UPDATE clientes 
+            SET 
+                total_quejas = (SELECT COUNT(*) FROM quejas WHERE cliente_id = $1 AND queja_padre_id IS NULL),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+        `, [clienteId]);
+    }
+
+    async generarInsightsSiEsNecesario(client, quejaId, categoria, urgencia) {
+        // Solo generar insights para quejas críticas
+        if (urgencia >= 4) {
+            await client.query(`
+                INSERT INTO insights_ia (
+                    tipo_insight,
+                    titulo,
+                    descripcion,
+                    impacto_estimado,
+                    probabilidad,
+                    acciones_sugeridas
+                ) VALUES (
+                    'queja_critica',
+                    $1,
+                    $2,
+                    'alto',
+                    0.90,
+                    $3
+                )
+            `, [
+                `Queja crítica: ${categoria.categoria_nombre}`,
+                `Se detectó una queja de alta urgencia (${urgencia}/5) en categoría ${categoria.categoria_nombre}`,
+                ['Contactar al cliente inmediatamente', 'Investigar el incidente', 'Implementar acciones correctivas']
+            ]);
+        }
+    }
+
+    // ===== SEGUIMIENTO DE QUEJAS =====
+
+    async cambiarEstadoQueja(quejaId, estadoNuevo, { comentario = null, usuario = null, satisfaccion = null } = {}) {
+        if (!TRANSICIONES_ESTADO[estadoNuevo]) {
+            const error = new Error(`Estado desconocido: ${estadoNuevo}`);
+            error.status = 400;
+            throw error;
+        }
+
+        if (satisfaccion !== null && satisfaccion !== undefined) {
+            satisfaccion = parseInt(satisfaccion);
+            if (isNaN(satisfaccion) || satisfaccion < 1 || satisfaccion > 5) {
+                const error = new Error('satisfaccion_resolucion debe estar entre 1 y 5');
+                error.status = 400;
+                throw error;
+            }
+        } else {
+            satisfaccion = null;
+        }
+
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const actual = await client.query(
+                'SELECT id, estado_queja, categoria_id FROM quejas WHERE id = $1 FOR UPDATE',
+                [quejaId]
+            );
+
+            if (actual.rows.length === 0) {
+                const error = new Error(`Queja ${quejaId} no encontrada`);
+                error.status = 404;
+                throw error;
+            }
+
+            const estadoAnterior = actual.rows[0].estado_queja || 'pendiente';
+            const permitidos = TRANSICIONES_ESTADO[estadoAnterior] || [];
+
+            if (!permitidos.includes(estadoNuevo)) {
+                const error = new Error(`Transición no permitida: ${estadoAnterior} → ${estadoNuevo}`);
+                error.status = 409;
+                error.permitidos = permitidos;
+                throw error;
+            }
+
+            let result;
+            if (ESTADOS_FINALES.includes(estadoNuevo)) {
+                // Al cerrar se calcula el tiempo de resolución en minutos
+                result = await client.query(`
+                    UPDATE quejas
+                    SET
+                        estado_queja = $2,
+                        fecha_resolucion = CURRENT_TIMESTAMP,
+                        tiempo_resolucion = ROUND(EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - fecha_creacion)) / 60),
+                        satisfaccion_resolucion = COALESCE($3, satisfaccion_resolucion),
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $1
+                    RETURNING id, estado_queja, fecha_resolucion, tiempo_resolucion, satisfaccion_resolucion
+                `, [quejaId, estadoNuevo, satisfaccion]);
+            } else if (ESTADOS_FINALES.includes(estadoAnterior)) {
+                // Reabrir limpia los datos de la resolución anterior y da un nuevo plazo de SLA
+                // desde ahora (sin tiempo esperado en la categoría, la queja queda sin fecha límite)
+                const sla = this.calcularSLA({ categoria_id: actual.rows[0].categoria_id }, new Date());
+                result = await client.query(`
+                    UPDATE quejas
+                    SET
+                        estado_queja = $2,
+                        fecha_resolucion = NULL,
+                        tiempo_resolucion = NULL,
+                        satisfaccion_resolucion = NULL,
+                        fecha_limite_sla = $3,
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $1
+                    RETURNING id, estado_queja, fecha_resolucion, tiempo_resolucion, satisfaccion_resolucion, fecha_limite_sla
+                `, [quejaId, estadoNuevo, sla.fecha_limite]);
+            } else {
+                result = await client.query(`
+                    UPDATE quejas
+                    SET estado_queja = $2, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $1
+                    RETURNING id, estado_queja, fecha_resolucion, tiempo_resolucion, satisfaccion_resolucion
+                `, [quejaId, estadoNuevo]);
+            }
+
+            await client.query(`
+                INSERT INTO historial_estados_queja (queja_id, estado_anterior, estado_nuevo, comentario, usuario)
+                VALUES ($1, $2, $3, $4, $5)
+            `, [quejaId, estadoAnterior, estadoNuevo, comentario, usuario]);
+
+            await client.query('COMMIT');
+
+            console.log(`🔄 Queja ${quejaId}: ${estadoAnterior} → ${estadoNuevo}`);
+
+            return {
+                ...result.rows[0],
+                estado_anterior: estadoAnterior,
+                reabierta: ESTADOS_FINALES.includes(estadoAnterior)
+            };
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Genera un insight 'sla_incumplido' por cada queja abierta de categoría crítica
+    // que ya pasó su fecha límite (una sola vez por fecha límite)
+    async revisarSLAIncumplidos() {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(`
+                INSERT INTO insights_ia (
+                    tipo_insight,
+                    titulo,
+                    descripcion,
+                    impacto_estimado,
+                    probabilidad,
+                    acciones_sugeridas,
+                    sucursal_id,
+                    categoria_id,
+                    queja_id
+                )
+                SELECT
+                    'sla_incumplido',
+                    'SLA incumplido: ' || cat.nombre,
+                    'La queja #' || q.id || ' (' || cat.nombre || ') lleva ' ||
+                        ROUND(EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - q.fecha_creacion)) / 60) ||
+                        ' min sin resolver; el tiempo esperado es ' || cat.tiempo_resolucion_esperado || ' min' ||
+                        COALESCE(' en ' || s.nombre, ''),
+                    'alto',
+                    1.00,
+                    $2::TEXT[],
+                    q.sucursal_id,
+                    q.categoria_id,
+                    q.id
+                FROM quejas q
+                JOIN categorias_quejas cat ON q.categoria_id = cat.id
+                LEFT JOIN sucursales s ON q.sucursal_id = s.id
+                WHERE q.fecha_limite_sla < CURRENT_TIMESTAMP
+                AND COALESCE(q.estado_queja, 'pendiente') NOT IN ('resuelto', 'cerrado_sin_resolucion')
+                AND cat.nivel_criticidad >= $1
+                -- Una alerta por fecha límite: al reabrir la queja su nuevo plazo vuelve a alertar
+                AND NOT EXISTS (
+                    SELECT 1 FROM insights_ia i
+                    WHERE i.queja_id = q.id AND i.tipo_insight = 'sla_incumplido'
+                    AND i.created_at >= q.fecha_limite_sla
+                )
+                RETURNING queja_id
+            `, [
+                SLA_CRITICIDAD_ALERTA,
+                ['Contactar al cliente de inmediato', 'Escalar al gerente de operaciones', 'Registrar la causa del retraso']
+            ]);
+
+            if (result.rowCount > 0) {
+                console.log(`⏰ SLA incumplido en ${result.rowCount} quejas críticas`);
+            }
+
+            return result.rows.map(r => r.queja_id);
+
+        } finally {
+            client.release();
+        }
+    }
+
+    // Recalcula segmento, satisfacción, última visita y riesgo de abandono de todos los clientes
+    // (o solo de clienteIds). Cada visita es un día con queja (sin contar duplicadas)
+    async segmentarClientes(clienteIds = null) {
+        const client = await pool.connect();
+        const distribucion = {};
+        let ultimoId = 0;
+        let actualizados = 0;
+
+        try {
+            while (true) {
+                const lote = await client.query(`
+                    SELECT
+                        c.id,
+                        c.telefono,
+                        COUNT(q.id) as total_quejas,
+                        COUNT(DISTINCT DATE(q.fecha_creacion)) FILTER (
+                            WHERE q.fecha_creacion >= CURRENT_DATE - make_interval(days => $2)
+                        ) as visitas_recientes,
+                        MIN(q.fecha_creacion) as primera_visita,
+                        MAX(q.fecha_creacion)::date::text as ultima_visita,
+                        AVG(q.score_sentimiento)::float as sentimiento_promedio,
+                        AVG(q.satisfaccion_resolucion)::float as satisfaccion_promedio,
+                        COUNT(q.id) FILTER (WHERE COALESCE(q.estado_queja, 'pendiente') <> 'resuelto') as sin_resolver
+                    FROM clientes c
+                    LEFT JOIN quejas q ON q.cliente_id = c.id AND q.queja_padre_id IS NULL
+                    WHERE c.id > $1
+                    AND ($3::int[] IS NULL OR c.id = ANY($3))
+                    GROUP BY c.id
+                    ORDER BY c.id
+                    LIMIT 500
+                `, [ultimoId, SEGMENTO_VENTANA_DIAS, clienteIds]);
+
+                if (lote.rows.length === 0) break;
+
+                const calculos = lote.rows.map(cliente => ({ id: cliente.id, ...this.calcularSegmentoCliente(cliente) }));
+
+                await client.query(`
+                    UPDATE clientes c
+                    SET
+                        segmento_cliente = datos.segmento,
+                        score_satisfaccion = datos.score,
+                        ultima_visita = datos.ultima_visita,
+                        riesgo_abandono = datos.riesgo,
+                        fecha_segmentacion = CURRENT_TIMESTAMP,
+                        updated_at = CURRENT_TIMESTAMP
+                    FROM unnest($1::int[], $2::text[], $3::numeric[], $4::date[], $5::numeric[])
+                        AS datos(id, segmento, score, ultima_visita, riesgo)
+                    WHERE c.id = datos.id
+                `, [
+                    calculos.map(c => c.id),
+                    calculos.map(c => c.segmento),
+                    calculos.map(c => c.score_satisfaccion),
+                    calculos.map(c => c.ultima_visita),
+                    calculos.map(c => c.riesgo_abandono)
+                ]);
+
+                calculos.forEach(c => {
+                    distribucion[c.segmento] = (distribucion[c.segmento] || 0) + 1;
+                });
+                actualizados += calculos.length;
+                ultimoId = lote.rows[lote.rows.length - 1].id;
+            }
+
+            console.log(`👥 Segmentación de clientes: ${actualizados} actualizados`, distribucion);
+            return { actualizados, distribucion };
+
+        } finally {
+            client.release();
+        }
+    }
+
+    calcularSegmentoCliente(cliente) {
+        const visitas = parseInt(cliente.visitas_recientes) || 0;
+        const totalQuejas = parseInt(cliente.total_quejas) || 0;
+        const diasDesdePrimera = cliente.primera_visita
+            ? (Date.now() - new Date(cliente.primera_visita)) / 86400000
+            : null;
+
+        let segmento;
+        if (!cliente.telefono) {
+            segmento = 'anonimo';
+        } else if (visitas >= SEGMENTO_VISITAS_FRECUENTE) {
+            segmento = 'frecuente';
+        } else if (totalQuejas <= 1 && (diasDesdePrimera === null || diasDesdePrimera <= SEGMENTO_DIAS_NUEVO)) {
+            segmento = 'nuevo';
+        } else {
+            segmento = 'ocasional';
+        }
+
+        // Satisfacción 0-5: el sentimiento (-1 a 1) escalado, y la calificación de la resolución (1-5)
+        // pesa más cuando existe porque es posterior a la atención
+        const porSentimiento = cliente.sentimiento_promedio !== null ? (cliente.sentimiento_promedio + 1) * 2.5 : null;
+        const porResolucion = cliente.satisfaccion_promedio;
+        let score = null;
+        if (porSentimiento !== null && porResolucion !== null) {
+            score = porSentimiento * 0.4 + porResolucion * 0.6;
+        } else {
+            score = porResolucion ?? porSentimiento;
+        }
+
+        // Riesgo de abandono: insatisfacción, quejas sin resolver y tiempo sin volver
+        let riesgo = null;
+        if (totalQuejas > 0) {
+            const insatisfaccion = score !== null ? 1 - score / 5 : 0.5;
+            const sinResolver = parseInt(cliente.sin_resolver) / totalQuejas;
+            const diasSinVolver = (Date.now() - new Date(cliente.ultima_visita)) / 86400000;
+            riesgo = insatisfaccion * 0.5 + sinResolver * 0.3 + Math.min(1, diasSinVolver / 90) * 0.2;
+        }
+
+        return {
+            segmento,
+            score_satisfaccion: score !== null ? Math.round(score * 100) / 100 : null,
+            ultima_visita: cliente.ultima_visita,
+            riesgo_abandono: riesgo !== null ? Math.round(riesgo * 100) / 100 : null
+        };
+    }
+
+    // Registra la categoría que una persona confirmó o corrigió (sirve para entrenar el clasificador)
+    async confirmarCategoria(quejaId, categoriaId, subcategoriaId = null, usuario = null) {
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const actual = await client.query(
+                'SELECT id, categoria_id, subcategoria_id FROM quejas WHERE id = $1 FOR UPDATE',
+                [quejaId]
+            );
+
+            if (actual.rows.length === 0) {
+                const error = new Error(`Queja ${quejaId} no encontrada`);
+                error.status = 404;
+                throw error;
+            }
+
+            const queja = actual.rows[0];
+            const categoriaFinal = categoriaId ? parseInt(categoriaId) : queja.categoria_id;
+
+            if (!categoriaFinal) {
+                const error = new Error('La queja no tiene categoría; indique categoria_id');
+                error.status = 400;
+                throw error;
+            }
+
+            if (subcategoriaId) {
+                const subcategoria = await client.query(
+                    'SELECT id FROM subcategorias_quejas WHERE id = $1 AND categoria_id = $2',
+                    [subcategoriaId, categoriaFinal]
+                );
+                if (subcategoria.rows.length === 0) {
+                    const error = new Error('La subcategoría no pertenece a la categoría indicada');
+                    error.status = 400;
+                    throw error;
+                }
+            }
+
+            const revision = {
+                categoria_anterior: queja.categoria_id,
+                subcategoria_anterior: queja.subcategoria_id,
+                categoria_asignada: categoriaFinal,
+                accion: categoriaFinal === queja.categoria_id ? 'confirmada' : 'corregida',
+                usuario: usuario,
+                fecha: new Date()
+            };
+
+            const result = await client.query(`
+                UPDATE quejas
+                SET
+                    categoria_id = $2,
+                    subcategoria_id = CASE WHEN $2 = categoria_id AND $3::INTEGER IS NULL THEN subcategoria_id ELSE $3 END,
+                    categoria_confirmada = true,
+                    analisis_ia = jsonb_set(COALESCE(analisis_ia, '{}'::jsonb), '{revision_categoria}', $4::jsonb),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING id, categoria_id, subcategoria_id, categoria_confirmada
+            `, [quejaId, categoriaFinal, subcategoriaId || null, JSON.stringify(revision)]);
+
+            await client.query('COMMIT');
+
+            return { ...result.rows[0], accion: revision.accion };
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            if (error.code === '23503') {
+                error.status = 400;
+                error.message = `Categoría ${categoriaId} no existe`;
+            }
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // ===== REVISIÓN MANUAL DE SUCURSALES =====
+
+    // Confirma la sucursal actual de una queja o asigna otra elegida por un revisor
+    async asignarSucursalManual(quejaId, sucursalId, usuario = null) {
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const actual = await client.query(`
+                SELECT
+                    q.id, q.sucursal_id, q.ubicacion_original, q.confianza_mapeo,
+                    q.descripcion, q.palabras_clave,
+                    q.analisis_ia->'sentimiento'->'terminos' as terminos,
+                    q.analisis_ia->'categoria'->>'keyword_encontrada' as keyword,
+                    cat.nombre as categoria,
+                    subcat.nombre as subcategoria
+                FROM quejas q
+                LEFT JOIN categorias_quejas cat ON q.categoria_id = cat.id
+                LEFT JOIN subcategorias_quejas subcat ON q.subcategoria_id = subcat.id
+                WHERE q.id = $1
+                FOR UPDATE OF q
+            `, [quejaId]);
+
+            if (actual.rows.length === 0) {
+                const error = new Error(`Queja ${quejaId} no encontrada`);
+                error.status = 404;
+                throw error;
+            }
+
+            const queja = actual.rows[0];
+            const sucursalFinal = sucursalId ? parseInt(sucursalId) : queja.sucursal_id;
+
+            if (!sucursalFinal) {
+                const error = new Error('La queja no tiene sucursal asignada; indique sucursal_id');
+                error.status = 400;
+                throw error;
+            }
+
+            const sucursal = await client.query(
+                'SELECT id, nombre FROM sucursales WHERE id = $1 AND activa = true',
+                [sucursalFinal]
+            );
+
+            if (sucursal.rows.length === 0) {
+                const error = new Error(`Sucursal ${sucursalFinal} no existe o no está activa`);
+                error.status = 400;
+                throw error;
+            }
+
+            const revision = {
+                sucursal_anterior: queja.sucursal_id,
+                confianza_anterior: queja.confianza_mapeo,
+                sucursal_asignada: sucursalFinal,
+                accion: sucursalFinal === queja.sucursal_id ? 'confirmada' : 'corregida',
+                usuario: usuario,
+                fecha: new Date()
+            };
+
+            // El resumen menciona la sucursal: se regenera (con reglas, como generar-resumenes.js)
+            const resumen = generarResumen(queja.descripcion, {
+                categoria: queja.categoria,
+                subcategoria: queja.subcategoria,
+                sucursal: sucursal.rows[0].nombre,
+                terminos: (Array.isArray(queja.terminos) ? queja.terminos : []).map(t => t.termino),
+                palabras_clave: [queja.keyword, ...(queja.palabras_clave || [])].filter(Boolean)
+            });
+
+            const result = await client.query(`
+                UPDATE quejas
+                SET
+                    sucursal_id = $2,
+                    mapeo_manual = true,
+                    confianza_mapeo = 1.00,
+                    analisis_ia = jsonb_set(COALESCE(analisis_ia, '{}'::jsonb), '{revision_mapeo}', $3::jsonb),
+                    resumen_ia = COALESCE($4, resumen_ia),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING id, sucursal_id, ubicacion_original, confianza_mapeo, mapeo_manual, resumen_ia
+            `, [quejaId, sucursalFinal, JSON.stringify(revision), resumen]);
+
+            // Aprender el texto original como alias para próximas quejas
+            if (queja.ubicacion_original) {
+                await this.guardarAliasSucursal(client, queja.ubicacion_original, sucursalFinal, 'revision_manual');
+            }
+
+            // Los insights ligados a la queja deben reflejar la sucursal correcta
+            await client.query(
+                'UPDATE insights_ia SET sucursal_id = $2 WHERE queja_id = $1',
+                [quejaId, sucursalFinal]
+            );
+
+            await client.query('COMMIT');
+
+            console.log(`🏪 Queja ${quejaId}: sucursal ${revision.accion} → ${sucursal.rows[0].nombre}`);
+
+            return {
+                ...result.rows[0],
+                sucursal_nombre: sucursal.rows[0].nombre,
+                accion: revision.accion
+            };
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async guardarAliasSucursal(client, alias, sucursalId, origen = 'api') {
+        const aliasNormalizado = this.normalizarAlias(alias);
+
+        if (!aliasNormalizado) {
+            const error = new Error('El alias no puede estar vacío');
+            error.status = 400;
+            throw error;
+        }
+
+        const result = await client.query(`
+            INSERT INTO alias_sucursales (alias, sucursal_id, origen)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (alias) DO UPDATE SET
+                sucursal_id = EXCLUDED.sucursal_id,
+                origen = EXCLUDED.origen,
+                activo = true,
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING *
+        `, [aliasNormalizado, sucursalId, origen]);
+
+        return result.rows[0];
+    }
+
+    // ===== CATÁLOGO DE CATEGORÍAS =====
+
+    // Ejecuta un cambio al catálogo en una transacción y recarga los caches en memoria
+    async modificarCatalogo(cambio) {
+        const client = await pool.connect();
+        let resultado;
+
+        try {
+            await client.query('BEGIN');
+            resultado = await cambio(client);
+            await client.query('COMMIT');
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            if (error.code === '23505') {
+                error.status = 409;
+                error.message = 'Ya existe un registro con ese nombre';
+            }
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        try {
+            await this.cargarCaches();
+        } catch (error) {
+            error.message = `El cambio se guardó, pero no se pudieron recargar los caches: ${error.message}`;
+            throw error;
+        }
+        return resultado;
+    }
+
+    validarCategoria(datos) {
+        const { nivel_criticidad, tiempo_resolucion_esperado } = datos;
+
+        if (nivel_criticidad !== undefined && nivel_criticidad !== null) {
+            const nivel = parseInt(nivel_criticidad);
+            if (isNaN(nivel) || nivel < 1 || nivel > 5) {
+                const error = new Error('nivel_criticidad debe estar entre 1 y 5');
+                error.status = 400;
+                throw error;
+            }
+        }
+
+        if (tiempo_resolucion_esperado !== undefined && tiempo_resolucion_esperado !== null) {
+            const minutos = parseInt(tiempo_resolucion_esperado);
+            if (isNaN(minutos) || minutos <= 0) {
+                const error = new Error('tiempo_resolucion_esperado debe ser un número de minutos mayor a 0');
+                error.status = 400;
+                throw error;
+            }
+        }
+    }
+
+    normalizarKeywords(keywords) {
+        if (!Array.isArray(keywords)) {
+            const error = new Error('keywords debe ser una lista de textos');
+            error.status = 400;
+            throw error;
+        }
+        return [...new Set(keywords.map(k => k?.toString().trim().toLowerCase()).filter(Boolean))];
+    }
+
+    // ===== LÉXICO DE SENTIMIENTO =====
+
+    // Aplica un cambio al léxico dentro de una nueva versión y recarga el cache
+    async modificarLexico(descripcion, usuario, cambio) {
+        const client = await pool.connect();
+        let version, resultado;
+
+        try {
+            await client.query('BEGIN');
+
+            const nueva = await client.query(`
+                INSERT INTO versiones_lexico (descripcion, cambio, usuario)
+                VALUES ($1, $2, $3)
+                RETURNING version
+            `, [descripcion, JSON.stringify(cambio.detalle || {}), usuario]);
+            version = nueva.rows[0].version;
+
+            resultado = await cambio.aplicar(client, version);
+
+            await client.query('COMMIT');
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        console.log(`📖 Léxico v${version}: ${descripcion}`);
+
+        // El cambio ya quedó guardado; si la recarga falla se toma en el siguiente cambio o con /api/caches/recargar
+        try {
+            await this.cargarLexico(pool);
+        } catch (error) {
+            console.error('⚠️ Error recargando el léxico de sentimiento:', error.message);
+        }
+
+        return { version, termino: resultado };
+    }
+
+    validarPesoLexico(peso) {
+        const valor = parseFloat(peso);
+        if (isNaN(valor) || valor === 0 || valor < -4 || valor > 4) {
+            const error = new Error('peso debe ser distinto de 0 y estar entre -4 y 4');
+            error.status = 400;
+            throw error;
+        }
+        return valor;
+    }
+
+    // ===== FUNCIONES AUXILIARES =====
+
+    // Forma canónica de un texto de ubicación para comparar alias
+    normalizarAlias(texto) {
+        return normalizarTexto(texto) || null;
+    }
+
+    // Perfil de ingesta por nombre; sin nombre, el del formulario de Google Sheets.
+    // Los perfiles incluidos en el código sirven mientras no se haya corrido el setup
+    obtenerPerfil(nombre) {
+        const buscado = nombre || PERFIL_PREDETERMINADO.nombre;
+        const perfil = perfilesCache.get(buscado) || PERFILES_BASE[buscado];
+        if (!perfil || perfil.activo === false) {
+            const error = new Error(`Perfil de ingesta "${buscado}" no existe o no está activo`);
+            error.status = 400;
+            throw error;
+        }
+        return perfil;
+    }
+
+    normalizarDatos(datos, perfil = this.obtenerPerfil()) {
+        const { campos, sin_mapear, fecha_invalida } = aplicarPerfil(datos, perfil);
+
+        return {
+            geo: {
+                lat: campos.lat,
+                lng: campos.lng,
+                codigo_postal: campos.codigo_postal
+            },
+            nombre: this.limpiarTexto(campos.nombre),
+            telefono: this.limpiarTelefono(campos.telefono?.toString()),
+            descripcion: this.limpiarTexto(campos.descripcion || 'Sin descripción'),
+            sucursal: this.limpiarTexto(campos.sucursal),
+            fecha_creacion: this.parsearFecha(campos.fecha_creacion || new Date()),
+            campos_sin_mapear: sin_mapear,
+            fecha_invalida
+        };
+    }
+
+    // Distancia en línea recta (haversine) en kilómetros
+    distanciaKm(lat1, lng1, lat2, lng2) {
+        const rad = grados => grados * Math.PI / 180;
+        const dLat = rad(lat2 - lat1);
+        const dLng = rad(lng2 - lng1);
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(dLng / 2) ** 2;
+        return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    limpiarTexto(texto) {
+        if (!texto) return null;
+        return texto.toString().trim().substring(0, 1000);
+    }
+
+    limpiarTelefono(telefono) {
+        if (!telefono || telefono === 'edna' || telefono.includes('url')) return null;
+        
+        const soloNumeros = telefono.toString().replace(/\D/g, '');
+        
+        if (soloNumeros.length === 10) {
+            return soloNumeros;
+        } else if (soloNumeros.length === 12 && soloNumeros.startsWith('52')) {
+            return soloNumeros.substring(2);
+        } else if (soloNumeros.length === 13 && soloNumeros.startsWith('521')) {
+            // Celulares con el 1 del formato anterior (así llegan los wa_id de WhatsApp)
+            return soloNumeros.substring(3);
+        }
+        
+        return null;
+    }
+
+    parsearFecha(fecha) {
+        if (fecha instanceof Date) return fecha;
+        
+        try {
+            const fechaParseada = new Date(fecha);
+            return isNaN(fechaParseada.getTime()) ? new Date() : fechaParseada;
+        } catch {
+            return new Date();
+        }
+    }
+
+    // Guarda los adjuntos como evidencia de la queja; regresa cuántos se guardaron
+    async guardarEvidencias(client, quejaId, evidencias, origen) {
+        for (const evidencia of evidencias) {
+            const contenido = evidencia.contenido;
+            const completo = contenido.length <= EVIDENCIA_MAX_BYTES;
+
+            await client.query(`
+                INSERT INTO evidencias_queja (queja_id, nombre_archivo, tipo_contenido, tamano_bytes, sha256, contenido, origen)
+                VALUES ($1, $2, $3, $4, $5, $6, $7)
+            `, [
+                quejaId,
+                evidencia.nombre.substring(0, 255),
+                evidencia.tipo,
+                contenido.length,
+                crypto.createHash('sha256').update(contenido).digest('hex'),
+                completo ? contenido : null,
+                origen
+            ]);
+
+            if (!completo) {
+                console.warn(`⚠️ Evidencia "${evidencia.nombre}" de la queja ${quejaId} excede ${EVIDENCIA_MAX_BYTES} bytes; solo se registró`);
+            }
+        }
+        return evidencias.length;
+    }
+
+    // Quita teléfono, correo y formulario original de las quejas; sentimiento, categoría,
+    // sucursal y demás análisis se conservan para las estadísticas
+    async anonimizarQuejas(client, quejas) {
+        if (quejas.length === 0) return;
+
+        await client.query(`
+            UPDATE quejas q
+            SET
+                descripcion = datos.descripcion,
+                resumen_ia = datos.resumen_ia,
+                datos_originales = NULL,
+                anonimizada_en = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP
+            FROM unnest($1::int[], $2::text[], $3::text[]) AS datos(id, descripcion, resumen_ia)
+            WHERE q.id = datos.id
+        `, [
+            quejas.map(q => q.id),
+            quejas.map(q => ocultarDatosContacto(q.descripcion)),
+            quejas.map(q => ocultarDatosContacto(q.resumen_ia))
+        ]);
+
+        // Los adjuntos (fotos, tickets, correos reenviados) pueden traer datos personales
+        await client.query('DELETE FROM evidencias_queja WHERE queja_id = ANY($1)', [quejas.map(q => q.id)]);
+    }
+
+    async anonimizarClientes(client, clienteIds) {
+        if (clienteIds.length === 0) return;
+
+        await client.query(`
+            UPDATE clientes
+            SET
+                nombre = NULL,
+                telefono = NULL,
+                email = NULL,
+                segmento_cliente = 'anonimo',
+                anonimizado_en = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ANY($1)
+        `, [clienteIds]);
+
+        // Las copias de registros fusionados también traen datos personales
+        await client.query(`
+            UPDATE clientes_fusionados
+            SET datos_origen = '{"anonimizado": true}'::jsonb
+            WHERE cliente_destino_id = ANY($1)
+        `, [clienteIds]);
+    }
+
+    // Política de retención: anonimiza quejas con más de RETENCION_DIAS y los clientes
+    // que no tienen quejas más recientes
+    async aplicarRetencion() {
+        if (!RETENCION_DIAS) return { quejas: 0, clientes: 0 };
+
+        const client = await pool.connect();
+        let quejasAnonimizadas = 0;
+
+        try {
+            while (true) {
+                const lote = await client.query(`
+                    SELECT id, descripcion, resumen_ia
+                    FROM quejas
+                    WHERE fecha_creacion < CURRENT_DATE - make_interval(days => $1)
+                    AND anonimizada_en IS NULL
+                    ORDER BY id
+                    LIMIT 500
+                `, [RETENCION_DIAS]);
+
+                if (lote.rows.length === 0) break;
+
+                await this.anonimizarQuejas(client, lote.rows);
+                quejasAnonimizadas += lote.rows.length;
+            }
+
+            const clientes = await client.query(`
+                SELECT c.id
+                FROM clientes c
+                WHERE c.anonimizado_en IS NULL
+                AND c.created_at < CURRENT_DATE - make_interval(days => $1)
+                AND NOT EXISTS (
+                    SELECT 1 FROM quejas q
+                    WHERE q.cliente_id = c.id
+                    AND q.fecha_creacion >= CURRENT_DATE - make_interval(days => $1)
+                )
+            `, [RETENCION_DIAS]);
+
+            await client.query('BEGIN');
+            await this.anonimizarClientes(client, clientes.rows.map(row => row.id));
+            await client.query('COMMIT');
+
+            // Lo recibido por webhooks que nunca llegó a ser queja (cola_quejas ya lo borra al completarse)
+            await client.query(`
+                UPDATE cola_quejas SET datos = NULL, crudo = NULL
+                WHERE estado = 'fallida' AND created_at < CURRENT_DATE - make_interval(days => $1)
+                AND (datos IS NOT NULL OR crudo IS NOT NULL)
+            `, [RETENCION_DIAS]);
+            await client.query(`
+                UPDATE quejas_fallidas SET datos = NULL
+                WHERE created_at < CURRENT_DATE - make_interval(days => $1) AND datos IS NOT NULL
+            `, [RETENCION_DIAS]);
+
+            if (quejasAnonimizadas > 0 || clientes.rows.length > 0) {
+                console.log(`🔒 Retención (${RETENCION_DIAS} días): ${quejasAnonimizadas} quejas y ${clientes.rows.length} clientes anonimizados`);
+            }
+
+            return { quejas: quejasAnonimizadas, clientes: clientes.rows.length };
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Derecho de cancelación (LFPDPPP): borra los datos personales del cliente y de sus quejas.
+    // Las quejas se conservan anonimizadas para las estadísticas
+    async suprimirDatosCliente(clienteId, { usuario = null, motivo = null } = {}) {
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const cliente = await client.query(
+                'SELECT id, anonimizado_en FROM clientes WHERE id = $1 FOR UPDATE',
+                [clienteId]
+            );
+
+            if (cliente.rows.length === 0) {
+                const error = new Error(`Cliente ${clienteId} no encontrado`);
+                error.status = 404;
+                throw error;
+            }
+
+            const quejas = await client.query(
+                'SELECT id, descripcion, resumen_ia FROM quejas WHERE cliente_id = $1 FOR UPDATE',
+                [clienteId]
+            );
+
+            await this.anonimizarQuejas(client, quejas.rows);
+            await this.anonimizarClientes(client, [cliente.rows[0].id]);
+
+            const detalle = {
+                quejas_anonimizadas: quejas.rows.map(q => q.id),
+                ya_estaba_anonimizado: !!cliente.rows[0].anonimizado_en
+            };
+
+            await client.query(`
+                INSERT INTO solicitudes_arco (cliente_id, tipo, motivo, detalle, usuario)
+                VALUES ($1, 'cancelacion', $2, $3, $4)
+            `, [clienteId, motivo, JSON.stringify(detalle), usuario]);
+
+            await client.query('COMMIT');
+
+            console.log(`🔒 Cliente ${clienteId}: datos personales suprimidos (${quejas.rows.length} quejas)`);
+
+            return {
+                cliente_id: parseInt(clienteId),
+                ...detalle
+            };
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Une registros que resultaron ser la misma persona: las quejas pasan al cliente destino,
+    // sus datos vacíos se completan con los de los otros registros y estos se borran
+    // (quedan copiados en clientes_fusionados)
+    async fusionarClientes(destinoId, origenIds, usuario = null) {
+        const destino = parseInt(destinoId);
+        const origenes = [...new Set((origenIds || []).map(id => parseInt(id)))].filter(id => id && id !== destino);
+
+        if (origenes.length === 0) {
+            const error = new Error('Indique cliente_ids distintos al cliente destino');
+            error.status = 400;
+            throw error;
+        }
+
+        const client = await pool.connect();
+        const fusionados = [];
+
+        try {
+            await client.query('BEGIN');
+
+            const registros = await client.query(
+                'SELECT * FROM clientes WHERE id = ANY($1) ORDER BY id FOR UPDATE',
+                [[destino, ...origenes]]
+            );
+            const porId = new Map(registros.rows.map(row => [row.id, row]));
+
+            const faltantes = [destino, ...origenes].filter(id => !porId.has(id));
+            if (faltantes.length > 0) {
+                const error = new Error(`Clientes no encontrados: ${faltantes.join(', ')}`);
+                error.status = 404;
+                throw error;
+            }
+
+            for (const origenId of origenes) {
+                const movidas = await client.query(
+                    'UPDATE quejas SET cliente_id = $1, updated_at = CURRENT_TIMESTAMP WHERE cliente_id = $2 RETURNING id',
+                    [destino, origenId]
+                );
+                const quejasMovidas = movidas.rows.map(row => row.id);
+
+                await client.query(`
+                    INSERT INTO clientes_fusionados (cliente_destino_id, cliente_origen_id, datos_origen, quejas_movidas, usuario)
+                    VALUES ($1, $2, $3, $4, $5)
+                `, [destino, origenId, JSON.stringify(porId.get(origenId)), quejasMovidas, usuario]);
+
+                fusionados.push({ cliente_id: origenId, quejas_movidas: quejasMovidas });
+            }
+
+            // Completar datos vacíos del destino con el primer registro que los tenga
+            const completar = campo => origenes.map(id => porId.get(id)[campo]).find(valor => valor) || null;
+            await client.query(`
+                UPDATE clientes
+                SET
+                    nombre = COALESCE(nombre, $2),
+                    telefono = COALESCE(telefono, $3),
+                    email = COALESCE(email, $4),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+            `, [destino, completar('nombre'), completar('telefono'), completar('email')]);
+
+            // Las fusiones anteriores hacia los clientes de origen pasan al destino; si no, el
+            // DELETE (ON DELETE CASCADE) borraría su registro
+            await client.query(
+                'UPDATE clientes_fusionados SET cliente_destino_id = $1 WHERE cliente_destino_id = ANY($2)',
+                [destino, origenes]
+            );
+
+            await client.query('DELETE FROM clientes WHERE id = ANY($1)', [origenes]);
+            await this.actualizarEstadisticasCliente(client, destino);
+
+            await client.query('COMMIT');
+
+            console.log(`👥 Cliente ${destino}: fusionados ${origenes.join(', ')}`);
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        // Con el historial completo cambia su segmento; la fusión ya quedó guardada aunque esto
+        // falle, y el segmento se corrige en la siguiente segmentación programada
+        try {
+            await this.segmentarClientes([destino]);
+        } catch (error) {
+            console.error(`⚠️ Error segmentando al cliente ${destino} tras la fusión:`, error.message);
+        }
+
+        return {
+            cliente_id: destino,
+            fusionados
+        };
+    }
+
+    async obtenerOCrearCliente(client, datos) {
+        const { nombre, telefono } = datos;
+
+        if (telefono) {
+            const existente = await client.query(
+                'SELECT id FROM clientes WHERE telefono = $1',
+                [telefono]
+            );
+
+            if (existente.rows.length > 0) {
+                return existente.rows[0].id;
+            }
+        }
+
+        // Determinar segmento del cliente
+        const segmento = telefono ? 'nuevo' : 'anonimo';
+
+        const result = await client.query(
+            'INSERT INTO clientes (nombre, telefono, segmento_cliente) VALUES ($1, $2, $3) RETURNING id',
+            [nombre, telefono, segmento]
+        );
+
+        return result.rows[0].id;
+    }
+}
+
+const analizador = new AnalizadorQuejas();
+
+// ========== ENDPOINTS ==========
+
+// Trabajador de la cola; solo existe cuando corre el servidor (ver iniciarServidor)
+let trabajadorCola = null;
+
+// Canal (canal_origen) de un perfil de ingesta, para la bitácora; si el perfil no existe, su nombre
+function canalDePerfil(nombre) {
+    const buscado = nombre || PERFIL_PREDETERMINADO.nombre;
+    return (perfilesCache.get(buscado) || PERFILES_BASE[buscado])?.canal_origen || buscado;
+}
+
+// Ruta del webhook (relativa a /webhook) -> canal
+function canalDeWebhook(ruta, perfilEncabezado) {
+    const [, webhook, perfil] = ruta.split('/');
+    const perfilesPorRuta = {
+        'nueva-queja': perfil || perfilEncabezado,
+        whatsapp: 'whatsapp',
+        'formulario-web': 'formulario_web',
+        email: 'email',
+        'call-center': 'call_center'
+    };
+    return webhook in perfilesPorRuta ? canalDePerfil(perfilesPorRuta[webhook]) : null;
+}
+
+// Recibe una queja de cualquier canal: la guarda en la cola y responde 202; el análisis con IA
+// lo hace el trabajador (ver cola-quejas.js). Un reenvío con la misma clave de idempotencia
+// regresa el trabajo existente, o la queja si ya se creó. Regresa { status, cuerpo }.
+// crudo: correo original, del que el trabajador toma los adjuntos como evidencia
+async function recibirQueja(clave, datos, perfil, crudo = null) {
+    const { nuevo, trabajo } = await colaQuejas.encolar({ clave, perfil: perfil.nombre, datos, crudo });
+
+    if (nuevo) {
+        console.log(`📨 Nueva queja recibida por ${perfil.canal_origen}, en cola como trabajo ${trabajo.id}`);
+        trabajadorCola?.despertar();
+        return {
+            status: 202,
+            cuerpo: {
+                success: true,
+                encolada: true,
+                trabajo_id: trabajo.id,
+                estado: trabajo.estado,
+                message: 'Queja recibida; se procesará con IA en unos momentos'
+            }
+        };
+    }
+
+    if (trabajo.estado === 'completada') {
+        console.log(`🔁 Entrega repetida, queja ${trabajo.queja_id}`);
+        return {
+            status: 200,
+            cuerpo: {
+                success: true,
+                repetida: true,
+                message: `Entrega repetida; la queja #${trabajo.queja_id} ya fue procesada`,
+                data: { ...trabajo.resultado, queja_id: trabajo.queja_id }
+            }
+        };
+    }
+
+    return {
+        status: 202,
+        cuerpo: {
+            success: true,
+            repetida: true,
+            encolada: true,
+            trabajo_id: trabajo.id,
+            estado: trabajo.estado,
+            message: `Entrega repetida; la queja sigue en la cola (trabajo ${trabajo.id})`
+        }
+    };
+}
+
+// Lo que ejecuta el trabajador por cada queja en la cola; si lanza error, la cola reintenta.
+// El análisis (proveedor de IA) va antes; la queja se inserta en la misma transacción que
+// marca el trabajo como completado. Cada intento queda en sync_logs con el tiempo de cada etapa
+async function procesarTrabajoCola(trabajo) {
+    const inicio = performance.now();
+    const registro = {
+        tipo: trabajo.reprocesos > 0 ? 'reproceso' : 'procesamiento',
+        canal: canalDePerfil(trabajo.perfil),
+        tiempos: {},
+        datos: { trabajo_id: trabajo.id, perfil: trabajo.perfil, intento: trabajo.intentos }
+    };
+
+    try {
+        const perfil = analizador.obtenerPerfil(trabajo.perfil);
+        const evidencias = trabajo.crudo ? leerCorreo(trabajo.crudo).adjuntos : [];
+
+        console.log(`🧠 Procesando trabajo ${trabajo.id} de ${perfil.canal_origen} (intento ${trabajo.intentos})`);
+        const analisis = await analizador.analizarQueja(trabajo.datos, perfil, { tiempos: registro.tiempos });
+        const resultado = await colaQuejas.procesarEnTransaccion(trabajo, client =>
+            analizador.insertarQueja(client, trabajo.datos, perfil, analisis, { evidencias, tiempos: registro.tiempos }));
+        if (!resultado) return null;
+
+        await registroIngesta.registrar({ ...registro, resultado: 'ok', queja_id: resultado.queja_id, total_ms: milisegundosDesde(inicio) });
+        return resultado;
+
+    } catch (error) {
+        await registroIngesta.registrar({ ...registro, resultado: 'error', error: error.message, total_ms: milisegundosDesde(inicio) });
+        throw error;
+    }
+}
+
+// Webhook principal con IA. El perfil de ingesta se elige por ruta (/webhook/nueva-queja/:perfil)
+// o con el header X-Perfil-Ingesta; sin ninguno se usa el del formulario de Google Sheets
+app.post('/webhook/nueva-queja/:perfil?', requiereRol('admin', 'integracion'), verificarFirma, entregaVerificada, async (req, res) => {
+    try {
+        const perfil = analizador.obtenerPerfil(req.params.perfil || req.get('X-Perfil-Ingesta'));
+        const { status, cuerpo } = await recibirQueja(claveIdempotencia(req), req.body, perfil);
+        res.status(status).json(cuerpo);
+
+    } catch (error) {
+        console.error('Error en webhook con IA:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: 'Error procesando queja con IA',
+            error: error.message
+        });
+    }
+});
+
+// ===== CANALES DE INGESTA (ver canales-ingesta.js) =====
+
+// WhatsApp Business (Cloud API). Meta verifica la suscripción con un GET y firma cada
+// notificación; con WHATSAPP_APP_SECRET definido estas rutas no piden API key
+app.get('/webhook/whatsapp', verificarSuscripcionWhatsApp);
+
+app.post('/webhook/whatsapp', (req, res, next) => {
+    if (process.env.WHATSAPP_APP_SECRET) return next();
+    requiereRol('admin', 'integracion')(req, res, next);
+}, verificarFirmaWhatsApp, entregaVerificada, async (req, res) => {
+    try {
+        const perfil = analizador.obtenerPerfil('whatsapp');
+        const { mensajes, omitidos } = mensajesWhatsApp(req.body);
+        omitidos.forEach(omitido => console.log(`💬 WhatsApp ${omitido.message_id} (${omitido.tipo}) omitido: ${omitido.motivo}`));
+
+        // Una notificación puede traer varios mensajes; cada uno es una queja
+        const procesados = [];
+        for (const { clave, datos } of mensajes) {
+            const { status, cuerpo } = await recibirQueja(clave, datos, perfil);
+            procesados.push({
+                message_id: datos.message_id,
+                status,
+                trabajo_id: cuerpo.trabajo_id ?? null,
+                queja_id: cuerpo.data?.queja_id ?? null,
+                repetida: cuerpo.repetida || false
+            });
+        }
+
+        // Meta reintenta mientras no reciba 200; los mensajes ya recibidos se reconocen por su id
+        res.json({ success: true, mensajes: procesados.length, procesados, omitidos });
+
+    } catch (error) {
+        console.error('Error en webhook de WhatsApp:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Formulario de contacto del sitio web (JSON plano; los nombres de campo los lee el perfil formulario_web)
+app.post('/webhook/formulario-web', requiereRol('admin', 'integracion'), verificarFirma, entregaVerificada, async (req, res) => {
+    try {
+        const perfil = analizador.obtenerPerfil('formulario_web');
+        const { status, cuerpo } = await recibirQueja(claveIdempotencia(req), req.body, perfil);
+        res.status(status).json(cuerpo);
+
+    } catch (error) {
+        console.error('Error en webhook del formulario web:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Correo del buzón de atención a clientes: el mensaje crudo (.eml, Content-Type message/rfc822),
+// un archivo mbox con varios mensajes (application/mbox), { raw } o los campos que entrega el
+// servicio de correo entrante ({ from, subject, text, html, date, message_id }).
+// Los adjuntos se guardan como evidencia de la queja
+app.post('/webhook/email', requiereRol('admin', 'integracion'),
+    express.raw({ type: ['message/rfc822', 'application/mbox', 'text/plain'], limit: '25mb', verify: guardarCuerpoCrudo }),
+    verificarFirma,
+    entregaVerificada,
+    async (req, res) => {
+        try {
+            const perfil = analizador.obtenerPerfil('email');
+            const correos = correosEntrantes(req.body);
+
+            const procesados = [];
+            for (const { clave, datos, crudo } of correos) {
+                if (!datos.texto) {
+                    procesados.push({
+                        message_id: datos.message_id,
+                        status: 400,
+                        cuerpo: { success: false, error: 'El correo no tiene asunto ni texto' }
+                    });
+                    continue;
+                }
+
+                // Los correos no traen un campo de sucursal; se busca en el texto
+                datos.sucursal = analizador.inferirSucursalDeTexto(datos.texto);
+
+                // Los adjuntos no caben en datos; el trabajador los vuelve a leer del mensaje crudo
+                const { status, cuerpo } = await recibirQueja(clave, datos, perfil, crudo);
+                procesados.push({ message_id: datos.message_id, status, cuerpo });
+            }
+
+            // Un solo correo responde como los demás webhooks; un mbox, con el detalle de cada mensaje
+            if (procesados.length === 1) {
+                return res.status(procesados[0].status).json(procesados[0].cuerpo);
+            }
+
+            res.status(202).json({
+                success: true,
+                mensajes: procesados.length,
+                procesados: procesados.map(({ message_id, status, cuerpo }) => ({
+                    message_id,
+                    status,
+                    trabajo_id: cuerpo.trabajo_id ?? null,
+                    queja_id: cuerpo.data?.queja_id ?? null,
+                    repetida: cuerpo.repetida || false,
+                    error: cuerpo.error
+                }))
+            });
+
+        } catch (error) {
+            console.error('Error en webhook de correo:', error);
+            res.status(error.status || 500).json({ success: false, error: error.message });
+        }
+    });
+
+// Call center: la llamada registrada por el agente ({ llamada_id, nombre_cliente, telefono_cliente,
+// sucursal, motivo, notas, inicio_llamada, agente })
+app.post('/webhook/call-center', requiereRol('admin', 'integracion'), verificarFirma, entregaVerificada, async (req, res) => {
+    try {
+        const perfil = analizador.obtenerPerfil('call_center');
+        const { clave, datos } = llamadaCallCenter(req.body);
+        const { status, cuerpo } = await recibirQueja(clave, datos, perfil);
+        res.status(status).json(cuerpo);
+
+    } catch (error) {
+        console.error('Error en webhook del call center:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Importación masiva de un CSV o XLSX histórico (el archivo va como cuerpo de la solicitud).
+// ?dry_run=true analiza y valida sin guardar; ?archivo=nombre.xlsx o el Content-Type indican el formato;
+// ?perfil= elige el perfil de ingesta de las columnas. Para archivos muy grandes usar `npm run importar`
+app.post('/api/importar', soloAdmin, express.raw({ type: () => true, limit: '25mb' }), async (req, res) => {
+    try {
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({ success: false, error: 'Envíe el archivo CSV o XLSX como cuerpo de la solicitud' });
+        }
+
+        const formato = req.query.formato || detectarFormato(req.query.archivo, req.get('Content-Type'));
+        const dryRun = req.query.dry_run === 'true';
+
+        const reporte = await importarFilas({
+            analizador,
+            pool,
+            filas: leerFilas(req.body, formato),
+            perfil: req.query.perfil,
+            dryRun,
+            tamanoLote: parseInt(req.query.tamano_lote) || TAMANO_LOTE
+        });
+
+        console.log(`📥 Importación ${dryRun ? '(simulada) ' : ''}${formato}:`, reporte.resumen);
+
+        res.json({
+            success: true,
+            formato,
+            ...reporte
+        });
+
+    } catch (error) {
+        console.error('Error importando quejas:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Perfiles de ingesta: cómo se leen los campos de cada canal (ver perfiles-ingesta.js)
+app.get('/api/perfiles-ingesta', soloAdmin, async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT id, nombre, canal_origen, campos, formato_fecha, valores_defecto, activo, created_at, updated_at
+            FROM perfiles_ingesta
+            ORDER BY nombre
+        `);
+
+        res.json({
+            success: true,
+            perfiles: result.rows,
+            total: result.rowCount
+        });
+
+    } catch (error) {
+        console.error('Error obteniendo perfiles de ingesta:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/api/perfiles-ingesta', soloAdmin, async (req, res) => {
+    try {
+        validarPerfil(req.body);
+        const { nombre, canal_origen, campos, formato_fecha, valores_defecto } = req.body;
+
+        const perfil = await analizador.modificarCatalogo(async client => {
+            const result = await client.query(`
+                INSERT INTO perfiles_ingesta (nombre, canal_origen, campos, formato_fecha, valores_defecto)
+                VALUES ($1, $2, $3, $4, $5)
+                RETURNING *
+            `, [nombre, canal_origen, JSON.stringify(campos), formato_fecha || 'auto', JSON.stringify(valores_defecto || {})]);
+            return result.rows[0];
+        });
+
+        res.json({ success: true, perfil });
+
+    } catch (error) {
+        console.error('Error creando perfil de ingesta:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+app.put('/api/perfiles-ingesta/:id', soloAdmin, async (req, res) => {
+    try {
+        const perfil = await analizador.modificarCatalogo(async client => {
+            const actual = await client.query('SELECT * FROM perfiles_ingesta WHERE id = $1 FOR UPDATE', [req.params.id]);
+            if (actual.rows.length === 0) {
+                const error = new Error('Perfil de ingesta no encontrado');
+                error.status = 404;
+                throw error;
+            }
+
+            // Se valida el perfil completo como quedaría con los cambios
+            const cambios = { ...actual.rows[0], ...req.body };
+            validarPerfil(cambios);
+
+            const result = await client.query(`
+                UPDATE perfiles_ingesta
+                SET
+                    nombre = $2,
+                    canal_origen = $3,
+                    campos = $4,
+                    formato_fecha = $5,
+                    valores_defecto = $6,
+                    activo = $7,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING *
+            `, [
+                req.params.id,
+                cambios.nombre,
+                cambios.canal_origen,
+                JSON.stringify(cambios.campos),
+                cambios.formato_fecha || 'auto',
+                JSON.stringify(cambios.valores_defecto || {}),
+                cambios.activo ?? true
+            ]);
+            return result.rows[0];
+        });
+
+        res.json({ success: true, perfil });
+
+    } catch (error) {
+        console.error('Error actualizando perfil de ingesta:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/api/perfiles-ingesta/:id', soloAdmin, async (req, res) => {
+    try {
+        const perfil = await analizador.modificarCatalogo(async client => {
+            const result = await client.query(`
+                UPDATE perfiles_ingesta
+                SET activo = false, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING *
+            `, [req.params.id]);
+
+            if (result.rows.length === 0) {
+                const error = new Error('Perfil de ingesta no encontrado');
+                error.status = 404;
+                throw error;
+            }
+            return result.rows[0];
+        });
+
+        res.json({ success: true, perfil });
+
+    } catch (error) {
+        console.error('Error desactivando perfil de ingesta:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Prueba un perfil con un ejemplo del canal sin guardar nada: qué campo quedó en cada
+// campo canónico y qué campos se conservarán solo en datos_originales
+app.post('/api/perfiles-ingesta/:nombre/probar', soloAdmin, (req, res) => {
+    try {
+        const perfil = analizador.obtenerPerfil(req.params.nombre);
+        const { campos_sin_mapear, fecha_invalida, ...normalizados } = analizador.normalizarDatos(req.body, perfil);
+
+        res.json({
+            success: true,
+            perfil: perfil.nombre,
+            canal_origen: perfil.canal_origen,
+            normalizados,
+            campos_sin_mapear,
+            fecha_invalida
+        });
+
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// ===== COLA DE QUEJAS (ver cola-quejas.js) =====
+
+// Estado de la cola: trabajos por estado, antigüedad del pendiente más viejo y fallidas sin reprocesar
+app.get('/api/cola', soloAdmin, async (req, res) => {
+    try {
+        const [porEstado, fallidas] = await Promise.all([
+            pool.query(`
+                SELECT estado, COUNT(*)::int AS total,
+                       EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - MIN(created_at)))::int AS antiguedad_segundos
+                FROM cola_quejas
+                GROUP BY estado
+            `),
+            pool.query('SELECT COUNT(*)::int AS total FROM quejas_fallidas WHERE reprocesada_en IS NULL')
+        ]);
+
+        const estados = Object.fromEntries(porEstado.rows.map(fila => [fila.estado, fila.total]));
+        res.json({
+            success: true,
+            trabajos: {
+                pendiente: estados.pendiente || 0,
+                procesando: estados.procesando || 0,
+                completada: estados.completada || 0,
+                fallida: estados.fallida || 0
+            },
+            pendiente_mas_antiguo_segundos: porEstado.rows.find(fila => fila.estado === 'pendiente')?.antiguedad_segundos ?? null,
+            fallidas_sin_reprocesar: fallidas.rows[0].total
+        });
+
+    } catch (error) {
+        console.error('Error obteniendo estado de la cola:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Seguimiento de un trabajo (el trabajo_id que regresan los webhooks)
+app.get('/api/cola/trabajos/:id', soloAdmin, async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT id, idempotency_key, perfil, estado, intentos, max_intentos, proximo_intento,
+                   ultimo_error, errores, queja_id, created_at, updated_at
+            FROM cola_quejas
+            WHERE id = $1
+        `, [req.params.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Trabajo no encontrado' });
+        }
+
+        res.json({ success: true, trabajo: result.rows[0] });
+
+    } catch (error) {
+        console.error('Error obteniendo trabajo de la cola:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Quejas que agotaron sus intentos. ?todas=true incluye las ya reprocesadas; ?perfil= filtra por canal
+app.get('/api/cola/fallidas', soloAdmin, async (req, res) => {
+    try {
+        const { limit = 50, todas, perfil } = req.query;
+
+        let query = `
+            SELECT id, trabajo_id, idempotency_key, perfil, intentos, ultimo_error,
+                   created_at, reprocesada_en, reprocesada_por
+            FROM quejas_fallidas
+            WHERE 1=1
+        `;
+        const params = [];
+
+        if (todas !== 'true') {
+            query += ' AND reprocesada_en IS NULL';
+        }
+        if (perfil) {
+            params.push(perfil);
+            query += ` AND perfil = $${params.length}`;
+        }
+
+        params.push(Math.min(parseInt(limit) || 50, 500));
+        query += ` ORDER BY created_at DESC LIMIT $${params.length}`;
+
+        const result = await pool.query(query, params);
+        res.json({
+            success: true,
+            fallidas: result.rows,
+            total: result.rowCount
+        });
+
+    } catch (error) {
+        console.error('Error obteniendo quejas fallidas:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Detalle de una queja fallida: lo recibido y el error de cada intento
+app.get('/api/cola/fallidas/:id', soloAdmin, async (req, res) => {
+    try {
+        const result = await pool.query('SELECT * FROM quejas_fallidas WHERE id = $1', [req.params.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Queja fallida no encontrada' });
+        }
+
+        res.json({ success: true, fallida: result.rows[0] });
+
+    } catch (error) {
+        console.error('Error obteniendo queja fallida:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Reprocesar: regresa a la cola una queja fallida (/:id) o todas las que no se han reprocesado
+// (?perfil= limita a un canal), por ejemplo después de corregir un perfil o restablecer la IA
+app.post('/api/cola/fallidas/:id?/reintentar', soloAdmin, async (req, res) => {
+    try {
+        let ids = null;
+        if (req.params.id) {
+            if (!/^\d+$/.test(req.params.id)) {
+                return res.status(400).json({ success: false, error: 'id inválido' });
+            }
+            ids = [parseInt(req.params.id)];
+        } else if (req.query.perfil) {
+            const result = await pool.query(
+                'SELECT id FROM quejas_fallidas WHERE perfil = $1 AND reprocesada_en IS NULL',
+                [req.query.perfil]
+            );
+            ids = result.rows.map(fila => fila.id);
+        }
+
+        const reintentadas = await colaQuejas.reintentarFallidas(ids, req.body?.usuario || req.auth.nombre);
+
+        if (req.params.id && reintentadas.length === 0) {
+            return res.status(404).json({ success: false, error: 'Queja fallida no encontrada o ya reprocesada' });
+        }
+
+        trabajadorCola?.despertar();
+        res.status(202).json({
+            success: true,
+            message: `${reintentadas.length} queja(s) regresadas a la cola`,
+            trabajos: reintentadas.map(fila => fila.trabajo_id)
+        });
+
+    } catch (error) {
+        console.error('Error reintentando quejas fallidas:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Métricas de ingesta (sync_logs): tasa de error y latencia p50/p95 por tipo y canal, y por etapa
+// del análisis. Ventana con ?desde=&hasta= (fechas ISO) o ?horas= (últimas N, por defecto 24);
+// ?canal= y ?tipo= (webhook, procesamiento, reproceso, importacion) filtran
+app.get('/api/metricas/ingesta', soloAdmin, async (req, res) => {
+    try {
+        const { desde, hasta, horas = 24, canal, tipo } = req.query;
+
+        const fin = hasta ? new Date(hasta) : new Date();
+        const inicio = desde ? new Date(desde) : new Date(fin.getTime() - (parseFloat(horas) || 24) * 3600000);
+        if (isNaN(inicio.getTime()) || isNaN(fin.getTime()) || inicio >= fin) {
+            return res.status(400).json({ success: false, error: 'Ventana inválida: desde y hasta deben ser fechas y desde anterior a hasta' });
+        }
+
+        const metricas = await registroIngesta.metricas({ desde: inicio, hasta: fin, canal: canal || null, tipo: tipo || null });
+
+        res.json({
+            success: true,
+            ventana: { desde: inicio, hasta: fin },
+            ...metricas
+        });
+
+    } catch (error) {
+        console.error('Error obteniendo métricas de ingesta:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Ver quejas con análisis de IA
+app.get('/api/quejas', async (req, res) => {
+    try {
+        const { limit = 20, sentimiento, categoria, urgencia_min, cliente_id, canal } = req.query;
+        
+        let query = 'SELECT * FROM vista_quejas_para_ia WHERE 1=1';
+        const params = [];
+        let paramCount = 0;
+
+        if (sentimiento) {
+            paramCount++;
+            query += ` AND sentimiento = $${paramCount}`;
+            params.push(sentimiento);
+        }
+
+        if (categoria) {
+            paramCount++;
+            query += ` AND categoria = $${paramCount}`;
+            params.push(categoria);
+        }
+
+        if (urgencia_min) {
+            paramCount++;
+            query += ` AND urgencia >= $${paramCount}`;
+            params.push(urgencia_min);
+        }
+
+        if (cliente_id) {
+            paramCount++;
+            query += ` AND cliente_id = $${paramCount}`;
+            params.push(cliente_id);
+        }
+
+        if (canal) {
+            paramCount++;
+            query += ` AND canal_origen = $${paramCount}`;
+            params.push(canal);
+        }
+
+        // Solo quejas dentro del alcance de la API key
+        query += condicionAlcance(req.auth, ALCANCE_VISTA, params);
+        paramCount = params.length;
+
+        paramCount++;
+        query += ` ORDER BY fecha_creacion DESC LIMIT $${paramCount}`;
+        params.push(limit);
+
+        const client = await pool.connect();
+        const result = await client.query(query, params);
+        client.release();
+
+        res.json({
+            success: true,
+            quejas: protegerDatosPersonales(result.rows, obtenerRol(req)),
+            total: result.rowCount
+        });
+
+    } catch (error) {
+        console.error('Error obteniendo quejas:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Regresa 404 si la queja no existe o está fuera del alcance de la API key
+async function verificarQuejaEnAlcance(req) {
+    const params = [req.params.id];
+    const queja = await pool.query(
+        `SELECT id FROM vista_quejas_para_ia WHERE id = $1 ${condicionAlcance(req.auth, ALCANCE_VISTA, params)}`,
+        params
+    );
+    if (queja.rows.length === 0) {
+        const error = new Error('Queja no encontrada');
+        error.status = 404;
+        throw error;
+    }
+}
+
+// Cambiar estado de una queja
+app.post('/api/quejas/:id/estado', async (req, res) => {
+    try {
+        const { estado, comentario, usuario, satisfaccion_resolucion } = req.body;
+
+        if (!estado) {
+            return res.status(400).json({ success: false, error: 'El campo estado es requerido' });
+        }
+
+        await verificarQuejaEnAlcance(req);
+
+        const queja = await analizador.cambiarEstadoQueja(req.params.id, estado, {
+            comentario,
+            usuario,
+            satisfaccion: satisfaccion_resolucion
+        });
+
+        res.json({
+            success: true,
+            queja: queja
+        });
+
+    } catch (error) {
+        console.error('Error cambiando estado de queja:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message,
+            transiciones_permitidas: error.permitidos
+        });
+    }
+});
+
+// Historial de estados de una queja
+app.get('/api/quejas/:id/historial', async (req, res) => {
+    try {
+        await verificarQuejaEnAlcance(req);
+
+        const client = await pool.connect();
+
+        const queja = await client.query(`
+            SELECT id, estado_queja, fecha_creacion, fecha_resolucion, tiempo_resolucion, satisfaccion_resolucion
+            FROM quejas
+            WHERE id = $1
+        `, [req.params.id]);
+
+        if (queja.rows.length === 0) {
+            client.release();
+            return res.status(404).json({ success: false, error: 'Queja no encontrada' });
+        }
+
+        const historial = await client.query(`
+            SELECT estado_anterior, estado_nuevo, comentario, usuario, created_at
+            FROM historial_estados_queja
+            WHERE queja_id = $1
+            ORDER BY created_at, id
+        `, [req.params.id]);
+
+        client.release();
+
+        res.json({
+            success: true,
+            queja: queja.rows[0],
+            transiciones_permitidas: TRANSICIONES_ESTADO[queja.rows[0].estado_queja] || [],
+            historial: historial.rows
+        });
+
+    } catch (error) {
+        console.error('Error obteniendo historial de queja:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Evidencias (adjuntos) de una queja, dentro del alcance de la API key
+app.get('/api/quejas/:id/evidencias', async (req, res) => {
+    try {
+        await verificarQuejaEnAlcance(req);
+
+        const result = await pool.query(`
+            SELECT id, nombre_archivo, tipo_contenido, tamano_bytes, sha256, origen,
+                   contenido IS NOT NULL as disponible, created_at
+            FROM evidencias_queja
+            WHERE queja_id = $1
+            ORDER BY id
+        `, [req.params.id]);
+
+        res.json({
+            success: true,
+            evidencias: result.rows,
+            total: result.rowCount
+        });
+
+    } catch (error) {
+        console.error('Error obteniendo evidencias:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Descarga del archivo; puede contener datos personales (ver privacidad.js)
+app.get('/api/quejas/:id/evidencias/:evidenciaId', async (req, res) => {
+    try {
+        if (!puedeVerDatosPersonales(obtenerRol(req))) {
+            return res.status(403).json({ success: false, error: 'Su rol no puede descargar evidencias' });
+        }
+        await verificarQuejaEnAlcance(req);
+
+        const result = await pool.query(`
+            SELECT nombre_archivo, tipo_contenido, contenido
+            FROM evidencias_queja
+            WHERE id = $1 AND queja_id = $2
+        `, [req.params.evidenciaId, req.params.id]);
+
+        if (result.rows.length === 0 || !result.rows[0].contenido) {
+            return res.status(404).json({ success: false, error: 'Evidencia no encontrada o sin contenido guardado' });
+        }
+
+        const evidencia = result.rows[0];
+        res.set('Content-Type', evidencia.tipo_contenido || 'application/octet-stream');
+        res.set('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(evidencia.nombre_archivo)}`);
+        res.send(evidencia.contenido);
+
+    } catch (error) {
+        console.error('Error descargando evidencia:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Confirmar o corregir la categoría de una queja
+app.post('/api/quejas/:id/categoria', async (req, res) => {
+    try {
+        const { categoria_id, subcategoria_id, usuario } = req.body;
+
+        await verificarQuejaEnAlcance(req);
+
+        const queja = await analizador.confirmarCategoria(req.params.id, categoria_id, subcategoria_id, usuario);
+
+        res.json({
+            success: true,
+            queja: queja
+        });
+
+    } catch (error) {
+        console.error('Error confirmando categoría:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Estado del clasificador entrenado
+app.get('/api/clasificador', async (req, res) => {
+    try {
+        const client = await pool.connect();
+        const versiones = await client.query(`
+            SELECT version, tipo, ejemplos_entrenamiento, ejemplos_prueba, precision_holdout, evaluacion, activo, created_at
+            FROM modelos_clasificador
+            ORDER BY version DESC
+            LIMIT 10
+        `);
+        const ejemplos = await client.query(
+            'SELECT COUNT(*) as total FROM quejas WHERE categoria_confirmada = true'
+        );
+        client.release();
+
+        res.json({
+            success: true,
+            version_en_uso: modeloCache?.version ?? null,
+            precision_holdout: modeloCache?.precision_holdout ?? null,
+            ejemplos_confirmados: parseInt(ejemplos.rows[0].total),
+            versiones: versiones.rows,
+            reentrenar: 'npm run entrenar'
+        });
+
+    } catch (error) {
+        console.error('Error obteniendo clasificador:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Cola de revisión: quejas sin sucursal o con mapeo de baja confianza
+app.get('/api/mapeo/pendientes', async (req, res) => {
+    try {
+        const { limit = 50, confianza_max = MAPEO_CONFIANZA_MINIMA } = req.query;
+
+        // Las quejas sin sucursal asignada solo las ve el alcance global (admin)
+        const params = [confianza_max, limit];
+        const alcance = condicionAlcance(req.auth, { sucursal: 'q.sucursal_id', grupo: 's.grupo_id', region: 'es.region_id' }, params);
+
+        const client = await pool.connect();
+        const result = await client.query(`
+            SELECT
+                q.id,
+                q.descripcion,
+                q.fecha_creacion,
+                q.ubicacion_original,
+                q.sucursal_id,
+                s.nombre as sucursal_nombre,
+                q.confianza_mapeo,
+                COALESCE((q.analisis_ia->'mapeo_sucursal'->>'ambigua')::boolean, false) as ambigua,
+                COALESCE((
+                    SELECT json_agg(json_build_object(
+                        'sucursal_id', cand.id,
+                        'nombre', cand.nombre,
+                        'municipio', m.nombre,
+                        'estado', e.codigo
+                    ) ORDER BY array_position(q.sucursales_candidatas, cand.id))
+                    FROM sucursales cand
+                    JOIN municipios m ON cand.municipio_id = m.id
+                    JOIN estados e ON m.estado_id = e.id
+                    WHERE cand.id = ANY(q.sucursales_candidatas)
+                ), '[]'::json) as candidatas
+            FROM quejas q
+            LEFT JOIN sucursales s ON q.sucursal_id = s.id
+            LEFT JOIN municipios ms ON s.municipio_id = ms.id
+            LEFT JOIN estados es ON ms.estado_id = es.id
+            WHERE COALESCE(q.mapeo_manual, false) = false
+            AND (q.sucursal_id IS NULL OR COALESCE(q.confianza_mapeo, 0) < $1)
+            ${alcance}
+            ORDER BY q.fecha_creacion DESC
+            LIMIT $2
+        `, params);
+        client.release();
+
+        res.json({
+            success: true,
+            confianza_max: parseFloat(confianza_max),
+            quejas: result.rows,
+            total: result.rowCount
+        });
+
+    } catch (error) {
+        console.error('Error obteniendo cola de mapeo:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Confirmar o corregir la sucursal de una queja
+app.post('/api/quejas/:id/sucursal', async (req, res) => {
+    try {
+        const { sucursal_id, usuario } = req.body;
+
+        await verificarQuejaEnAlcance(req);
+
+        // La queja tampoco puede moverse a una sucursal fuera del alcance de la llave
+        const params = [sucursal_id];
+        const destino = await pool.query(`
+            SELECT s.id
+            FROM sucursales s
+            LEFT JOIN municipios m ON s.municipio_id = m.id
+            LEFT JOIN estados e ON m.estado_id = e.id
+            WHERE s.id = $1 ${condicionAlcance(req.auth, { sucursal: 's.id', grupo: 's.grupo_id', region: 'e.region_id' }, params)}
+        `, params);
+        if (destino.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Sucursal no encontrada' });
+        }
+
+        const queja = await analizador.asignarSucursalManual(req.params.id, sucursal_id, usuario);
+
+        res.json({
+            success: true,
+            queja: queja
+        });
+
+    } catch (error) {
+        console.error('Error asignando sucursal:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Alias de sucursales
+app.get('/api/sucursales/alias', async (req, res) => {
+    try {
+        const { sucursal_id } = req.query;
+
+        let query = `
+            SELECT a.id, a.alias, a.sucursal_id, s.nombre as sucursal_nombre,
+                   a.origen, a.veces_usado, a.activo, a.created_at, a.updated_at
+            FROM alias_sucursales a
+            JOIN sucursales s ON a.sucursal_id = s.id
+        `;
+        const params = [];
+
+        if (sucursal_id) {
+            query += ' WHERE a.sucursal_id = $1';
+            params.push(sucursal_id);
+        }
+
+        query += ' ORDER BY s.nombre, a.alias';
+
+        const client = await pool.connect();
+        const result = await client.query(query, params);
+        client.release();
+
+        res.json({
+            success: true,
+            alias: result.rows,
+            total: result.rowCount
+        });
+
+    } catch (error) {
+        console.error('Error obteniendo alias:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/sucursales/alias', soloAdmin, async (req, res) => {
+    let client;
+
+    try {
+        const { alias, sucursal_id } = req.body;
+
+        if (!alias || !sucursal_id) {
+            return res.status(400).json({ success: false, error: 'alias y sucursal_id son requeridos' });
+        }
+
+        client = await pool.connect();
+        const creado = await analizador.guardarAliasSucursal(client, alias, sucursal_id, 'api');
+
+        res.json({
+            success: true,
+            alias: creado
+        });
+
+    } catch (error) {
+        console.error('Error guardando alias:', error);
+        res.status(error.status || (error.code === '23503' ? 400 : 500)).json({
+            success: false,
+            error: error.message
+        });
+    } finally {
+        client?.release();
+    }
+});
+
+app.put('/api/sucursales/alias/:id', soloAdmin, async (req, res) => {
+    try {
+        const { alias, sucursal_id, activo } = req.body;
+
+        const client = await pool.connect();
+        const result = await client.query(`
+            UPDATE alias_sucursales
+            SET
+                alias = COALESCE($2, alias),
+                sucursal_id = COALESCE($3, sucursal_id),
+                activo = COALESCE($4, activo),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+            RETURNING *
+        `, [req.params.id, analizador.normalizarAlias(alias), sucursal_id || null, activo ?? null]);
+        client.release();
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Alias no encontrado' });
+        }
+
+        res.json({
+            success: true,
+            alias: result.rows[0]
+        });
+
+    } catch (error) {
+        console.error('Error actualizando alias:', error);
+        res.status(error.code === '23505' || error.code === '23503' ? 400 : 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+app.delete('/api/sucursales/alias/:id', soloAdmin, async (req, res) => {
+    try {
+        const client = await pool.connect();
+        const result = await client.query('DELETE FROM alias_sucursales WHERE id = $1 RETURNING id', [req.params.id]);
+        client.release();
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Alias no encontrado' });
+        }
+
+        res.json({ success: true, eliminado: result.rows[0].id });
+
+    } catch (error) {
+        console.error('Error eliminando alias:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Catálogo de categorías, subcategorías y keywords
+app.get('/api/categorias', async (req, res) => {
+    try {
+        const client = await pool.connect();
+        const result = await client.query(`
+            SELECT
+                c.*,
+                COALESCE(json_agg(sc ORDER BY sc.id) FILTER (WHERE sc.id IS NOT NULL), '[]') as subcategorias
+            FROM categorias_quejas c
+            LEFT JOIN subcategorias_quejas sc ON sc.categoria_id = c.id
+            GROUP BY c.id
+            ORDER BY c.id
+        `);
+        client.release();
+
+        res.json({
+            success: true,
+            categorias: result.rows
+        });
+
+    } catch (error) {
+        console.error('Error obteniendo categorías:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/categorias', soloAdmin, async (req, res) => {
+    try {
+        const { nombre, descripcion, nivel_criticidad = 1, tiempo_resolucion_esperado, requiere_seguimiento = false } = req.body;
+
+        if (!nombre) {
+            return res.status(400).json({ success: false, error: 'El campo nombre es requerido' });
+        }
+        analizador.validarCategoria(req.body);
+
+        const categoria = await analizador.modificarCatalogo(async client => {
+            const result = await client.query(`
+                INSERT INTO categorias_quejas (nombre, descripcion, nivel_criticidad, tiempo_resolucion_esperado, requiere_seguimiento)
+                VALUES ($1, $2, $3, $4, $5)
+                RETURNING *
+            `, [nombre, descripcion, nivel_criticidad, tiempo_resolucion_esperado, requiere_seguimiento]);
+            return result.rows[0];
+        });
+
+        res.json({ success: true, categoria });
+
+    } catch (error) {
+        console.error('Error creando categoría:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+app.put('/api/categorias/:id', soloAdmin, async (req, res) => {
+    try {
+        const { nombre, descripcion, nivel_criticidad, tiempo_resolucion_esperado, requiere_seguimiento, activa } = req.body;
+        analizador.validarCategoria(req.body);
+
+        const categoria = await analizador.modificarCatalogo(async client => {
+            const result = await client.query(`
+                UPDATE categorias_quejas
+                SET
+                    nombre = COALESCE($2, nombre),
+                    descripcion = COALESCE($3, descripcion),
+                    nivel_criticidad = COALESCE($4, nivel_criticidad),
+                    tiempo_resolucion_esperado = COALESCE($5, tiempo_resolucion_esperado),
+                    requiere_seguimiento = COALESCE($6, requiere_seguimiento),
+                    activa = COALESCE($7, activa)
+                WHERE id = $1
+                RETURNING *
+            `, [req.params.id, nombre, descripcion, nivel_criticidad, tiempo_resolucion_esperado, requiere_seguimiento ?? null, activa ?? null]);
+
+            if (result.rows.length === 0) {
+                const error = new Error('Categoría no encontrada');
+                error.status = 404;
+                throw error;
+            }
+            return result.rows[0];
+        });
+
+        res.json({ success: true, categoria });
+
+    } catch (error) {
+        console.error('Error actualizando categoría:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Retirar una categoría: deja de usarse en la categorización pero conserva el historial
+app.delete('/api/categorias/:id', soloAdmin, async (req, res) => {
+    try {
+        const categoria = await analizador.modificarCatalogo(async client => {
+            const result = await client.query(
+                'UPDATE categorias_quejas SET activa = false WHERE id = $1 RETURNING *',
+                [req.params.id]
+            );
+
+            if (result.rows.length === 0) {
+                const error = new Error('Categoría no encontrada');
+                error.status = 404;
+                throw error;
+            }
+            return result.rows[0];
+        });
+
+        res.json({ success: true, categoria });
+
+    } catch (error) {
+        console.error('Error retirando categoría:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/api/categorias/:id/subcategorias', soloAdmin, async (req, res) => {
+    try {
+        const { nombre, descripcion, keywords = [] } = req.body;
+
+        if (!nombre) {
+            return res.status(400).json({ success: false, error: 'El campo nombre es requerido' });
+        }
+        const keywordsLimpias = analizador.normalizarKeywords(keywords);
+
+        const subcategoria = await analizador.modificarCatalogo(async client => {
+            const result = await client.query(`
+                INSERT INTO subcategorias_quejas (nombre, categoria_id, descripcion, keywords)
+                SELECT $1, c.id, $3, $4
+                FROM categorias_quejas c
+                WHERE c.id = $2
+                RETURNING *
+            `, [nombre, req.params.id, descripcion, keywordsLimpias]);
+
+            if (result.rows.length === 0) {
+                const error = new Error('Categoría no encontrada');
+                error.status = 404;
+                throw error;
+            }
+            return result.rows[0];
+        });
+
+        res.json({ success: true, subcategoria });
+
+    } catch (error) {
+        console.error('Error creando subcategoría:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+app.put('/api/subcategorias/:id', soloAdmin, async (req, res) => {
+    try {
+        const { nombre, descripcion, categoria_id, keywords, activa } = req.body;
+        const keywordsLimpias = keywords !== undefined ? analizador.normalizarKeywords(keywords) : null;
+
+        const subcategoria = await analizador.modificarCatalogo(async client => {
+            const result = await client.query(`
+                UPDATE subcategorias_quejas
+                SET
+                    nombre = COALESCE($2, nombre),
+                    descripcion = COALESCE($3, descripcion),
+                    categoria_id = COALESCE($4, categoria_id),
+                    keywords = COALESCE($5, keywords),
+                    activa = COALESCE($6, activa)
+                WHERE id = $1
+                RETURNING *
+            `, [req.params.id, nombre, descripcion, categoria_id, keywordsLimpias, activa ?? null]);
+
+            if (result.rows.length === 0) {
+                const error = new Error('Subcategoría no encontrada');
+                error.status = 404;
+                throw error;
+            }
+            return result.rows[0];
+        });
+
+        res.json({ success: true, subcategoria });
+
+    } catch (error) {
+        console.error('Error actualizando subcategoría:', error);
+        res.status(error.status || (error.code === '23503' ? 400 : 500)).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/api/subcategorias/:id', soloAdmin, async (req, res) => {
+    try {
+        const subcategoria = await analizador.modificarCatalogo(async client => {
+            const result = await client.query(
+                'UPDATE subcategorias_quejas SET activa = false WHERE id = $1 RETURNING *',
+                [req.params.id]
+            );
+
+            if (result.rows.length === 0) {
+                const error = new Error('Subcategoría no encontrada');
+                error.status = 404;
+                throw error;
+            }
+            return result.rows[0];
+        });
+
+        res.json({ success: true, subcategoria });
+
+    } catch (error) {
+        console.error('Error retirando subcategoría:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Agregar keywords sin reemplazar las existentes
+app.post('/api/subcategorias/:id/keywords', soloAdmin, async (req, res) => {
+    try {
+        const keywords = analizador.normalizarKeywords(req.body.keywords || []);
+
+        const subcategoria = await analizador.modificarCatalogo(async client => {
+            const result = await client.query(`
+                UPDATE subcategorias_quejas
+                SET keywords = ARRAY(
+                    SELECT DISTINCT k FROM unnest(COALESCE(keywords, '{}') || $2::TEXT[]) k ORDER BY k
+                )
+                WHERE id = $1
+                RETURNING *
+            `, [req.params.id, keywords]);
+
+            if (result.rows.length === 0) {
+                const error = new Error('Subcategoría no encontrada');
+                error.status = 404;
+                throw error;
+            }
+            return result.rows[0];
+        });
+
+        res.json({ success: true, subcategoria });
+
+    } catch (error) {
+        console.error('Error agregando keywords:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/api/subcategorias/:id/keywords/:keyword', soloAdmin, async (req, res) => {
+    try {
+        const subcategoria = await analizador.modificarCatalogo(async client => {
+            const result = await client.query(`
+                UPDATE subcategorias_quejas
+                SET keywords = array_remove(keywords, $2)
+                WHERE id = $1
+                RETURNING *
+            `, [req.params.id, req.params.keyword.trim().toLowerCase()]);
+
+            if (result.rows.length === 0) {
+                const error = new Error('Subcategoría no encontrada');
+                error.status = 404;
+                throw error;
+            }
+            return result.rows[0];
+        });
+
+        res.json({ success: true, subcategoria });
+
+    } catch (error) {
+        console.error('Error eliminando keyword:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Recargar caches de sucursales, categorías y léxico sin reiniciar
+app.post('/api/caches/recargar', soloAdmin, async (req, res) => {
+    try {
+        await analizador.cargarCaches();
+
+        res.json({
+            success: true,
+            cache_status: {
+                sucursales: sucursalesCache.size,
+                categorias: categoriasCache.size,
+                version_lexico: lexicoCache.version,
+                version_modelo: modeloCache?.version ?? null
+            }
+        });
+
+    } catch (error) {
+        console.error('Error recargando caches:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Léxico de sentimiento
+app.get('/api/lexico', async (req, res) => {
+    try {
+        const { activo } = req.query;
+
+        let query = 'SELECT * FROM lexico_sentimiento';
+        const params = [];
+
+        if (activo !== undefined) {
+            query += ' WHERE activo = $1';
+            params.push(activo === 'true');
+        }
+
+        query += ' ORDER BY peso, termino';
+
+        const client = await pool.connect();
+        const result = await client.query(query, params);
+        client.release();
+
+        res.json({
+            success: true,
+            version_actual: lexicoCache.version,
+            terminos: result.rows,
+            total: result.rowCount
+        });
+
+    } catch (error) {
+        console.error('Error obteniendo léxico:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/lexico/versiones', async (req, res) => {
+    try {
+        const client = await pool.connect();
+        const result = await client.query(`
+            SELECT v.version, v.descripcion, v.cambio, v.usuario, v.created_at,
+                   (SELECT COUNT(*) FROM quejas q WHERE q.version_lexico = v.version) as quejas_analizadas
+            FROM versiones_lexico v
+            ORDER BY v.version DESC
+        `);
+        client.release();
+
+        res.json({
+            success: true,
+            version_actual: lexicoCache.version,
+            versiones: result.rows
+        });
+
+    } catch (error) {
+        console.error('Error obteniendo versiones del léxico:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/lexico', soloAdmin, async (req, res) => {
+    try {
+        const { termino, peso, usuario } = req.body;
+        const terminoNormalizado = normalizarTexto(termino);
+
+        if (!terminoNormalizado) {
+            return res.status(400).json({ success: false, error: 'El campo termino es requerido' });
+        }
+
+        const valor = analizador.validarPesoLexico(peso);
+
+        const resultado = await analizador.modificarLexico(`Agregar "${terminoNormalizado}" (${valor})`, usuario, {
+            detalle: { accion: 'agregar', termino: terminoNormalizado, peso: valor },
+            aplicar: async (client, version) => {
+                const result = await client.query(`
+                    INSERT INTO lexico_sentimiento (termino, peso, version_creacion, version_modificacion)
+                    VALUES ($1, $2, $3, $3)
+                    ON CONFLICT (termino) DO UPDATE SET
+                        peso = EXCLUDED.peso,
+                        activo = true,
+                        version_modificacion = EXCLUDED.version_modificacion,
+                        updated_at = CURRENT_TIMESTAMP
+                    RETURNING *
+                `, [terminoNormalizado, valor, version]);
+                return result.rows[0];
+            }
+        });
+
+        res.json({ success: true, ...resultado });
+
+    } catch (error) {
+        console.error('Error agregando término al léxico:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+app.put('/api/lexico/:id', soloAdmin, async (req, res) => {
+    try {
+        const { peso, activo, usuario } = req.body;
+        const valor = peso !== undefined ? analizador.validarPesoLexico(peso) : null;
+
+        if (valor === null && activo === undefined) {
+            return res.status(400).json({ success: false, error: 'Indique peso o activo' });
+        }
+
+        const resultado = await analizador.modificarLexico(`Actualizar término ${req.params.id}`, usuario, {
+            detalle: { accion: 'actualizar', id: req.params.id, peso: valor, activo: activo },
+            aplicar: async (client, version) => {
+                const result = await client.query(`
+                    UPDATE lexico_sentimiento
+                    SET
+                        peso = COALESCE($2, peso),
+                        activo = COALESCE($3, activo),
+                        version_modificacion = $4,
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $1
+                    RETURNING *
+                `, [req.params.id, valor, activo ?? null, version]);
+
+                if (result.rows.length === 0) {
+                    const error = new Error('Término no encontrado');
+                    error.status = 404;
+                    throw error;
+                }
+                return result.rows[0];
+            }
+        });
+
+        res.json({ success: true, ...resultado });
+
+    } catch (error) {
+        console.error('Error actualizando término del léxico:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Desactivar un término (se conserva para poder comparar versiones)
+app.delete('/api/lexico/:id', soloAdmin, async (req, res) => {
+    try {
+        const resultado = await analizador.modificarLexico(`Desactivar término ${req.params.id}`, req.body?.usuario, {
+            detalle: { accion: 'desactivar', id: req.params.id },
+            aplicar: async (client, version) => {
+                const result = await client.query(`
+                    UPDATE lexico_sentimiento
+                    SET activo = false, version_modificacion = $2, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $1
+                    RETURNING *
+                `, [req.params.id, version]);
+
+                if (result.rows.length === 0) {
+                    const error = new Error('Término no encontrado');
+                    error.status = 404;
+                    throw error;
+                }
+                return result.rows[0];
+            }
+        });
+
+        res.json({ success: true, ...resultado });
+
+    } catch (error) {
+        console.error('Error desactivando término del léxico:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Quejas en riesgo o con SLA vencido, agrupadas por sucursal y grupo operativo
+app.get('/api/sla/quejas', async (req, res) => {
+    try {
+        const umbral = req.query.umbral_riesgo !== undefined ? Number(req.query.umbral_riesgo) : SLA_UMBRAL_RIESGO;
+        if (!(umbral > 0 && umbral <= 1)) {
+            const error = new Error('umbral_riesgo debe ser un número mayor que 0 y hasta 1');
+            error.status = 400;
+            throw error;
+        }
+        const params = [umbral];
+        const alcance = condicionAlcance(req.auth, { sucursal: 'q.sucursal_id', grupo: 's.grupo_id', region: 'e.region_id' }, params);
+
+        const client = await pool.connect();
+        const result = await client.query(`
+            SELECT
+                q.id,
+                q.descripcion,
+                q.fecha_creacion,
+                q.fecha_limite_sla,
+                q.estado_queja,
+                q.urgencia,
+                q.sucursal_id,
+                s.nombre as sucursal_nombre,
+                go.id as grupo_id,
+                go.nombre as grupo_operativo,
+                cat.nombre as categoria,
+                cat.nivel_criticidad,
+                cat.tiempo_resolucion_esperado,
+                ROUND(EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - q.fecha_creacion)) / 60) as minutos_transcurridos,
+                ROUND(EXTRACT(EPOCH FROM (q.fecha_limite_sla - CURRENT_TIMESTAMP)) / 60) as minutos_restantes,
+                CASE
+                    WHEN q.fecha_limite_sla < CURRENT_TIMESTAMP THEN 'vencida'
+                    ELSE 'en_riesgo'
+                END as estado_sla
+            FROM quejas q
+            JOIN categorias_quejas cat ON q.categoria_id = cat.id
+            LEFT JOIN sucursales s ON q.sucursal_id = s.id
+            LEFT JOIN grupos_operativos go ON s.grupo_id = go.id
+            LEFT JOIN municipios m ON s.municipio_id = m.id
+            LEFT JOIN estados e ON m.estado_id = e.id
+            WHERE q.fecha_limite_sla IS NOT NULL
+            AND COALESCE(q.estado_queja, 'pendiente') NOT IN ('resuelto', 'cerrado_sin_resolucion')
+            AND CURRENT_TIMESTAMP >= q.fecha_limite_sla - COALESCE(
+                make_interval(mins => cat.tiempo_resolucion_esperado), q.fecha_limite_sla - q.fecha_creacion
+            ) * (1 - $1)
+            ${alcance}
+            ORDER BY minutos_restantes, nivel_criticidad DESC
+        `, params);
+        client.release();
+
+        // Agrupar por grupo operativo y sucursal
+        const grupos = new Map();
+        result.rows.forEach(queja => {
+            const grupoKey = queja.grupo_id || 'sin_grupo';
+            if (!grupos.has(grupoKey)) {
+                grupos.set(grupoKey, {
+                    grupo_id: queja.grupo_id,
+                    grupo_operativo: queja.grupo_operativo || 'Sin grupo',
+                    vencidas: 0,
+                    en_riesgo: 0,
+                    sucursales: new Map()
+                });
+            }
+            const grupo = grupos.get(grupoKey);
+            grupo[queja.estado_sla === 'vencida' ? 'vencidas' : 'en_riesgo']++;
+
+            const sucursalKey = queja.sucursal_id || 'sin_sucursal';
+            if (!grupo.sucursales.has(sucursalKey)) {
+                grupo.sucursales.set(sucursalKey, {
+                    sucursal_id: queja.sucursal_id,
+                    sucursal_nombre: queja.sucursal_nombre || 'No mapeada',
+                    vencidas: 0,
+                    en_riesgo: 0,
+                    quejas: []
+                });
+            }
+            const sucursal = grupo.sucursales.get(sucursalKey);
+            sucursal[queja.estado_sla === 'vencida' ? 'vencidas' : 'en_riesgo']++;
+            sucursal.quejas.push(queja);
+        });
+
+        res.json({
+            success: true,
+            umbral_riesgo: umbral,
+            resumen: {
+                vencidas: result.rows.filter(q => q.estado_sla === 'vencida').length,
+                en_riesgo: result.rows.filter(q => q.estado_sla === 'en_riesgo').length
+            },
+            grupos: Array.from(grupos.values()).map(grupo => ({
+                ...grupo,
+                sucursales: Array.from(grupo.sucursales.values())
+            }))
+        });
+
+    } catch (error) {
+        console.error('Error obteniendo SLA de quejas:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Recalcular segmentos de clientes sin esperar al proceso periódico
+app.post('/api/clientes/segmentar', soloAdmin, async (req, res) => {
+    try {
+        const resultado = await analizador.segmentarClientes();
+        res.json({ success: true, ...resultado });
+    } catch (error) {
+        console.error('Error segmentando clientes:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Distribución de segmentos de clientes por sucursal y los clientes recurrentes con más riesgo
+app.get('/api/clientes/segmentos', async (req, res) => {
+    try {
+        const { sucursal_id } = req.query;
+        const params = [RIESGO_ABANDONO_ALTO];
+        let filtroSucursal = '';
+        if (sucursal_id) {
+            params.push(sucursal_id);
+            filtroSucursal = `AND q.sucursal_id = $${params.length}`;
+        }
+
+        // Un cliente cuenta en cada sucursal donde ha presentado quejas (dentro del alcance de la API key)
+        const clientesSucursal = `
+            SELECT DISTINCT q.sucursal_id, q.cliente_id
+            FROM vista_quejas_para_ia q
+            WHERE q.sucursal_id IS NOT NULL
+            AND q.queja_padre_id IS NULL
+            ${filtroSucursal}
+            ${condicionAlcance(req.auth, ALCANCE_VISTA, params)}
+        `;
+
+        const client = await pool.connect();
+        const distribucion = await client.query(`
+            SELECT
+                cs.sucursal_id,
+                s.nombre as sucursal_nombre,
+                go.nombre as grupo_operativo,
+                COALESCE(c.segmento_cliente, 'sin_segmentar') as segmento,
+                COUNT(*) as clientes,
+                ROUND(AVG(c.score_satisfaccion), 2) as satisfaccion_promedio,
+                ROUND(AVG(c.riesgo_abandono), 2) as riesgo_promedio,
+                COUNT(*) FILTER (WHERE c.riesgo_abandono >= $1) as en_riesgo
+            FROM (${clientesSucursal}) cs
+            JOIN clientes c ON cs.cliente_id = c.id
+            JOIN sucursales s ON cs.sucursal_id = s.id
+            LEFT JOIN grupos_operativos go ON s.grupo_id = go.id
+            GROUP BY cs.sucursal_id, s.nombre, go.nombre, COALESCE(c.segmento_cliente, 'sin_segmentar')
+            ORDER BY s.nombre, clientes DESC
+        `, params);
+
+        const prioritarios = await client.query(`
+            SELECT * FROM (
+                SELECT
+                    cs.sucursal_id,
+                    c.id as cliente_id,
+                    c.nombre,
+                    c.segmento_cliente,
+                    c.score_satisfaccion,
+                    c.riesgo_abandono,
+                    c.ultima_visita,
+                    ROW_NUMBER() OVER (PARTITION BY cs.sucursal_id ORDER BY c.riesgo_abandono DESC) as posicion
+                FROM (${clientesSucursal}) cs
+                JOIN clientes c ON cs.cliente_id = c.id
+                WHERE c.segmento_cliente IN ('frecuente', 'ocasional')
+                AND c.riesgo_abandono >= $1
+            ) ranking
+            WHERE posicion <= 5
+        `, params);
+        client.release();
+
+        const sucursales = new Map();
+        distribucion.rows.forEach(fila => {
+            if (!sucursales.has(fila.sucursal_id)) {
+                sucursales.set(fila.sucursal_id, {
+                    sucursal_id: fila.sucursal_id,
+                    sucursal_nombre: fila.sucursal_nombre,
+                    grupo_operativo: fila.grupo_operativo,
+                    total_clientes: 0,
+                    segmentos: {},
+                    clientes_prioritarios: []
+                });
+            }
+            const sucursal = sucursales.get(fila.sucursal_id);
+            sucursal.total_clientes += parseInt(fila.clientes);
+            sucursal.segmentos[fila.segmento] = {
+                clientes: parseInt(fila.clientes),
+                satisfaccion_promedio: fila.satisfaccion_promedio,
+                riesgo_promedio: fila.riesgo_promedio,
+                en_riesgo: parseInt(fila.en_riesgo)
+            };
+        });
+
+        protegerDatosPersonales(prioritarios.rows, obtenerRol(req)).forEach(({ posicion, sucursal_id, ...cliente }) => {
+            sucursales.get(sucursal_id)?.clientes_prioritarios.push(cliente);
+        });
+
+        res.json({
+            success: true,
+            umbral_riesgo: RIESGO_ABANDONO_ALTO,
+            sucursales: Array.from(sucursales.values())
+        });
+
+    } catch (error) {
+        console.error('Error obteniendo segmentos de clientes:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Clientes con al menos una queja dentro del alcance de la API key (admin: todos)
+function condicionClienteEnAlcance(auth, columnaCliente, params) {
+    const alcance = condicionAlcance(auth, ALCANCE_VISTA, params);
+    return alcance ? ` AND EXISTS (SELECT 1 FROM vista_quejas_para_ia v WHERE v.cliente_id = ${columnaCliente}${alcance})` : '';
+}
 
-        // Ajustar por categoría (basado en criticidad)
-        if (categoria.categoria_nombre === 'Higiene y Limpieza') urgencia += 2;
-        else if (categoria.categoria_nombre === 'Calidad del Producto') urgencia += 1;
-        else if (categoria.categoria_nombre === 'Personal') urgencia += 1;
+// Buscar clientes por teléfono (o parte de él) o por nombre
+app.get('/api/clientes', async (req, res) => {
+    try {
+        const { q, limit = 20 } = req.query;
+        const busqueda = (q || '').trim();
 
-        // Palabras que indican urgencia extrema
-        const palabrasUrgentes = ['intoxicación', 'enfermo', 'vómito', 'ambulancia', 'hospital'];
-        const descripcionLower = categoria.descripcion?.toLowerCase() || '';
-        
-        if (palabrasUrgentes.some(palabra => descripcionLower.includes(palabra))) {
-            urgencia = 5; // Máxima urgencia
+        if (busqueda.length < 3) {
+            return res.status(400).json({ success: false, error: 'La búsqueda requiere al menos 3 caracteres' });
         }
 
-        return Math.min(urgencia, 5); // Máximo 5
-    }
+        const digitos = busqueda.replace(/\D/g, '');
+        const porTelefono = digitos.length >= 4 && digitos.length >= busqueda.replace(/[\s()+-]/g, '').length;
 
-    extraerPalabrasClave(descripcion) {
-        const palabrasComunes = ['el', 'la', 'de', 'que', 'y', 'a', 'en', 'un', 'es', 'se', 'no', 'te', 'lo', 'le', 'da', 'su', 'por', 'son', 'con', 'para', 'al', 'del', 'está', 'muy', 'me', 'pero', 'todo', 'mi', 'fue', 'era'];
-        
-        const palabras = descripcion.toLowerCase()
-            .replace(/[^\w\s]/g, ' ')
-            .split(/\s+/)
-            .filter(palabra => 
-                palabra.length > 3 && 
-                !palabrasComunes.includes(palabra) &&
-                isNaN(palabra)
-            );
+        const params = [`%${porTelefono ? digitos.slice(-10) : busqueda}%`, limit];
+        const client = await pool.connect();
+        const result = await client.query(`
+            SELECT id, nombre, telefono, email, segmento_cliente, score_satisfaccion,
+                   riesgo_abandono, total_quejas, ultima_visita
+            FROM clientes
+            WHERE ${porTelefono ? 'telefono LIKE $1' : 'nombre ILIKE $1'}
+            ${condicionClienteEnAlcance(req.auth, 'clientes.id', params)}
+            ORDER BY ultima_visita DESC NULLS LAST, id
+            LIMIT $2
+        `, params);
+        client.release();
 
-        // Contar frecuencia
-        const frecuencia = {};
-        palabras.forEach(palabra => {
-            frecuencia[palabra] = (frecuencia[palabra] || 0) + 1;
+        res.json({
+            success: true,
+            busqueda_por: porTelefono ? 'telefono' : 'nombre',
+            clientes: protegerDatosPersonales(result.rows, obtenerRol(req))
         });
 
-        // Tomar las 5 más frecuentes
-        return Object.entries(frecuencia)
-            .sort(([,a], [,b]) => b - a)
-            .slice(0, 5)
-            .map(([palabra]) => palabra);
+    } catch (error) {
+        console.error('Error buscando clientes:', error);
+        res.status(500).json({ error: error.message });
     }
+});
 
-    async actualizarEstadisticasCliente(client, clienteId) {
-        await client.query(`
-            UPDATE clientes 
-            SET 
-                total_quejas = (SELECT COUNT(*) FROM quejas WHERE cliente_id = $1),
-                updated_at = CURRENT_TIMESTAMP
-            WHERE id = $1
-        `, [clienteId]);
+// Vista 360 del cliente: perfil, quejas con análisis, sucursales, tendencia y resultados.
+// Una llave con alcance solo ve clientes y quejas de sus sucursales
+app.get('/api/clientes/:id', async (req, res) => {
+    const clienteId = parseInt(req.params.id);
+    if (!clienteId) {
+        return res.status(400).json({ success: false, error: 'id de cliente inválido' });
     }
 
-    async generarInsightsSiEsNecesario(client, quejaId, categoria, urgencia) {
-        // Solo generar insights para quejas críticas
-        if (urgencia >= 4) {
-            await client.query(`
-                INSERT INTO insights_ia (
-                    tipo_insight,
-                    titulo,
-                    descripcion,
-                    impacto_estimado,
-                    probabilidad,
-                    acciones_sugeridas
-                ) VALUES (
-                    'queja_critica',
-                    $1,
-                    $2,
-                    'alto',
-                    0.90,
-                    $3
-                )
-            `, [
-                `Queja crítica: ${categoria.categoria_nombre}`,
-                `Se detectó una queja de alta urgencia (${urgencia}/5) en categoría ${categoria.categoria_nombre}`,
-                ['Contactar al cliente inmediatamente', 'Investigar el incidente', 'Implementar acciones correctivas']
-            ]);
-        }
-    }
+    try {
+        const client = await pool.connect();
 
-    // ===== FUNCIONES AUXILIARES =====
+        const paramsPerfil = [clienteId];
+        const perfil = await client.query(
+            `SELECT * FROM clientes WHERE id = $1 ${condicionClienteEnAlcance(req.auth, 'clientes.id', paramsPerfil)}`,
+            paramsPerfil
+        );
+        if (perfil.rows.length === 0) {
+            client.release();
+            return res.status(404).json({ success: false, error: `Cliente ${clienteId} no encontrado` });
+        }
+        const cliente = perfil.rows[0];
 
-    normalizarDatos(datos) {
-        return {
-            nombre: this.limpiarTexto(datos.nombre || datos.Nombre),
-            telefono: this.limpiarTelefono(datos.telefono || datos.Telefono),
-            descripcion: this.limpiarTexto(datos.descripcion || datos.Descripción || datos.descripción || 'Sin descripción'),
-            sucursal: this.limpiarTexto(datos.sucursal || datos.Sucursal),
-            fecha_creacion: this.parsearFecha(datos.fecha_creacion || datos['Created on'] || new Date())
-        };
-    }
+        const paramsQuejas = [clienteId];
+        const quejas = await client.query(`
+            SELECT
+                q.id,
+                q.descripcion,
+                q.resumen_ia,
+                q.fecha_creacion,
+                q.estado_queja,
+                q.sentimiento,
+                q.score_sentimiento,
+                q.urgencia,
+                q.palabras_clave,
+                q.sucursal_id,
+                s.nombre as sucursal_nombre,
+                cat.nombre as categoria,
+                subcat.nombre as subcategoria,
+                q.queja_padre_id,
+                q.fecha_limite_sla,
+                q.fecha_resolucion,
+                q.tiempo_resolucion,
+                q.satisfaccion_resolucion,
+                q.analisis_ia
+            FROM quejas q
+            LEFT JOIN sucursales s ON q.sucursal_id = s.id
+            LEFT JOIN municipios m ON s.municipio_id = m.id
+            LEFT JOIN estados e ON m.estado_id = e.id
+            LEFT JOIN categorias_quejas cat ON q.categoria_id = cat.id
+            LEFT JOIN subcategorias_quejas subcat ON q.subcategoria_id = subcat.id
+            WHERE q.cliente_id = $1
+            ${condicionAlcance(req.auth, { sucursal: 'q.sucursal_id', grupo: 's.grupo_id', region: 'e.region_id' }, paramsQuejas)}
+            ORDER BY q.fecha_creacion DESC
+        `, paramsQuejas);
 
-    limpiarTexto(texto) {
-        if (!texto) return null;
-        return texto.toString().trim().substring(0, 1000);
-    }
+        const paramsTendencia = [clienteId];
+        const tendencia = await client.query(`
+            SELECT
+                DATE_TRUNC('month', fecha_creacion) as mes,
+                COUNT(*) as quejas,
+                ROUND(AVG(score_sentimiento::numeric), 2) as sentimiento_promedio
+            FROM vista_quejas_para_ia
+            WHERE cliente_id = $1 AND queja_padre_id IS NULL
+            ${condicionAlcance(req.auth, ALCANCE_VISTA, paramsTendencia)}
+            GROUP BY DATE_TRUNC('month', fecha_creacion)
+            ORDER BY mes
+        `, paramsTendencia);
 
-    limpiarTelefono(telefono) {
-        if (!telefono || telefono === 'edna' || telefono.includes('url')) return null;
-        
-        const soloNumeros = telefono.toString().replace(/\D/g, '');
-        
-        if (soloNumeros.length === 10) {
-            return soloNumeros;
-        } else if (soloNumeros.length === 12 && soloNumeros.startsWith('52')) {
-            return soloNumeros.substring(2);
-        }
-        
-        return null;
-    }
+        // Otros registros que podrían ser la misma persona (candidatos para fusionar)
+        const paramsDuplicados = [clienteId, cliente.telefono, cliente.nombre];
+        const posiblesDuplicados = await client.query(`
+            SELECT id, nombre, telefono, total_quejas, ultima_visita,
+                   CASE WHEN telefono IS NOT NULL AND RIGHT(telefono, 8) = RIGHT($2, 8) THEN 'telefono' ELSE 'nombre' END as criterio
+            FROM clientes
+            WHERE id <> $1
+            AND (
+                (telefono IS NOT NULL AND $2::text IS NOT NULL AND RIGHT(telefono, 8) = RIGHT($2, 8))
+                OR (nombre IS NOT NULL AND $3::text IS NOT NULL AND LOWER(TRIM(nombre)) = LOWER(TRIM($3)))
+            )
+            ${condicionClienteEnAlcance(req.auth, 'clientes.id', paramsDuplicados)}
+            ORDER BY id
+            LIMIT 10
+        `, paramsDuplicados);
 
-    parsearFecha(fecha) {
-        if (fecha instanceof Date) return fecha;
-        
-        try {
-            const fechaParseada = new Date(fecha);
-            return isNaN(fechaParseada.getTime()) ? new Date() : fechaParseada;
-        } catch {
-            return new Date();
-        }
-    }
+        const fusiones = await client.query(`
+            SELECT cliente_origen_id, quejas_movidas, usuario, created_at
+            FROM clientes_fusionados
+            WHERE cliente_destino_id = $1
+            ORDER BY created_at
+        `, [clienteId]);
 
-    async obtenerOCrearCliente(client, datos) {
-        const { nombre, telefono } = datos;
+        client.release();
 
-        if (telefono) {
-            const existente = await client.query(
-                'SELECT id FROM clientes WHERE telefono = $1',
-                [telefono]
-            );
+        // Sucursales visitadas y resultados (sin contar quejas duplicadas)
+        const originales = quejas.rows.filter(queja => !queja.queja_padre_id);
+        const sucursales = new Map();
+        const porEstado = {};
+        originales.forEach(queja => {
+            const estado = queja.estado_queja || 'pendiente';
+            porEstado[estado] = (porEstado[estado] || 0) + 1;
 
-            if (existente.rows.length > 0) {
-                return existente.rows[0].id;
+            if (!queja.sucursal_id) return;
+            if (!sucursales.has(queja.sucursal_id)) {
+                sucursales.set(queja.sucursal_id, {
+                    sucursal_id: queja.sucursal_id,
+                    sucursal_nombre: queja.sucursal_nombre,
+                    quejas: 0,
+                    ultima_visita: queja.fecha_creacion
+                });
             }
-        }
+            sucursales.get(queja.sucursal_id).quejas++;
+        });
 
-        // Determinar segmento del cliente
-        const segmento = telefono ? 'nuevo' : 'anonimo';
+        const promedio = valores => valores.length
+            ? Math.round((valores.reduce((a, b) => a + b, 0) / valores.length) * 100) / 100
+            : null;
+        const resueltas = originales.filter(queja => queja.estado_queja === 'resuelto');
 
-        const result = await client.query(
-            'INSERT INTO clientes (nombre, telefono, segmento_cliente) VALUES ($1, $2, $3) RETURNING id',
-            [nombre, telefono, segmento]
-        );
+        const rol = obtenerRol(req);
 
-        return result.rows[0].id;
+        res.json({
+            success: true,
+            cliente: protegerDatosPersonales(cliente, rol),
+            quejas: quejas.rows,
+            sucursales: Array.from(sucursales.values()).sort((a, b) => b.quejas - a.quejas),
+            tendencia_sentimiento: tendencia.rows,
+            resultados: {
+                total_quejas: originales.length,
+                duplicadas: quejas.rows.length - originales.length,
+                por_estado: porEstado,
+                tasa_resolucion: originales.length ? Math.round((resueltas.length / originales.length) * 100) / 100 : null,
+                tiempo_resolucion_promedio: promedio(resueltas.filter(q => q.tiempo_resolucion !== null).map(q => q.tiempo_resolucion)),
+                satisfaccion_promedio: promedio(originales.filter(q => q.satisfaccion_resolucion !== null).map(q => q.satisfaccion_resolucion))
+            },
+            posibles_duplicados: protegerDatosPersonales(posiblesDuplicados.rows, rol),
+            fusiones: fusiones.rows
+        });
+
+    } catch (error) {
+        console.error('Error obteniendo cliente:', error);
+        res.status(500).json({ error: error.message });
     }
-}
+});
 
-const analizador = new AnalizadorQuejas();
+// Fusionar registros duplicados en este cliente
+app.post('/api/clientes/:id/fusionar', soloAdmin, async (req, res) => {
+    try {
+        const { cliente_ids, usuario } = req.body;
 
-// ========== ENDPOINTS ==========
+        const resultado = await analizador.fusionarClientes(req.params.id, cliente_ids, usuario);
+
+        res.json({
+            success: true,
+            ...resultado
+        });
+
+    } catch (error) {
+        console.error('Error fusionando clientes:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
 
-// Webhook principal con IA
-app.post('/webhook/nueva-queja', async (req, res) => {
+// Cancelación de datos personales de un cliente (LFPDPPP)
+app.delete('/api/clientes/:id/datos-personales', soloAdmin, async (req, res) => {
     try {
-        console.log('📨 Nueva queja recibida para análisis IA:', req.body);
+        const { usuario, motivo } = req.body || {};
+        const resultado = await analizador.suprimirDatosCliente(req.params.id, { usuario, motivo });
 
-        const resultado = await analizador.procesarQuejaConIA(req.body);
-        
         res.json({
             success: true,
-            message: 'Queja procesada con IA exitosamente',
-            data: resultado
+            ...resultado
         });
 
     } catch (error) {
-        console.error('Error en webhook con IA:', error);
-        
-        res.status(500).json({
+        console.error('Error suprimiendo datos personales:', error);
+        res.status(error.status || 500).json({
             success: false,
-            message: 'Error procesando queja con IA',
             error: error.message
         });
     }
 });
 
-// Ver quejas con análisis de IA
-app.get('/api/quejas', async (req, res) => {
+// Identidad y alcance de la API key usada
+app.get('/api/auth/yo', (req, res) => {
+    res.json({ success: true, auth: req.auth });
+});
+
+app.get('/api/auth/keys', soloAdmin, async (req, res) => {
     try {
-        const { limit = 20, sentimiento, categoria, urgencia_min } = req.query;
-        
-        let query = 'SELECT * FROM vista_quejas_para_ia WHERE 1=1';
-        const params = [];
-        let paramCount = 0;
+        const result = await pool.query(`
+            SELECT k.id, k.nombre, k.prefijo, k.rol, k.region_id, r.nombre as region,
+                   k.grupo_id, go.nombre as grupo_operativo, k.sucursal_id, s.nombre as sucursal,
+                   k.gerente_id, g.nombre as gerente, k.activa, k.expira_en, k.ultimo_uso, k.created_at
+            FROM api_keys k
+            LEFT JOIN regiones_operativas r ON k.region_id = r.id
+            LEFT JOIN grupos_operativos go ON k.grupo_id = go.id
+            LEFT JOIN sucursales s ON k.sucursal_id = s.id
+            LEFT JOIN gerentes_operaciones g ON k.gerente_id = g.id
+            ORDER BY k.id
+        `);
 
-        if (sentimiento) {
-            paramCount++;
-            query += ` AND sentimiento = $${paramCount}`;
-            params.push(sentimiento);
-        }
+        res.json({ success: true, keys: result.rows });
 
-        if (categoria) {
-            paramCount++;
-            query += ` AND categoria = $${paramCount}`;
-            params.push(categoria);
-        }
+    } catch (error) {
+        console.error('Error obteniendo API keys:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        if (urgencia_min) {
-            paramCount++;
-            query += ` AND urgencia >= $${paramCount}`;
-            params.push(urgencia_min);
-        }
+// La llave solo se muestra en esta respuesta
+app.post('/api/auth/keys', soloAdmin, async (req, res) => {
+    try {
+        const key = await autenticacion.crearLlave(req.body);
+        res.status(201).json({ success: true, key });
 
-        paramCount++;
-        query += ` ORDER BY fecha_creacion DESC LIMIT $${paramCount}`;
-        params.push(limit);
+    } catch (error) {
+        console.error('Error creando API key:', error);
+        const status = error.status || (error.code === '23503' ? 400 : 500);
+        res.status(status).json({ success: false, error: error.message });
+    }
+});
 
-        const client = await pool.connect();
-        const result = await client.query(query, params);
-        client.release();
+app.delete('/api/auth/keys/:id', soloAdmin, async (req, res) => {
+    try {
+        const result = await pool.query(
+            'UPDATE api_keys SET activa = false WHERE id = $1 RETURNING id, nombre, prefijo, rol',
+            [req.params.id]
+        );
 
-        res.json({
-            success: true,
-            quejas: result.rows,
-            total: result.rowCount
-        });
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, error: `API key ${req.params.id} no encontrada` });
+        }
+
+        autenticacion.olvidarLlaves();
+        res.json({ success: true, revocada: result.rows[0] });
 
     } catch (error) {
-        console.error('Error obteniendo quejas:', error);
+        console.error('Error revocando API key:', error);
         res.status(500).json({ error: error.message });
     }
 });
@@ -491,6 +4121,10 @@ app.get('/api/quejas', async (req, res) => {
 // Dashboard de IA con insights
 app.get('/api/dashboard/ia', async (req, res) => {
     try {
+        // Todas las consultas se limitan al alcance de la API key
+        const params = [];
+        const alcance = condicionAlcance(req.auth, ALCANCE_VISTA, params);
+
         const client = await pool.connect();
 
         // Métricas básicas
@@ -500,19 +4134,35 @@ app.get('/api/dashboard/ia', async (req, res) => {
                 COUNT(CASE WHEN fecha_creacion >= CURRENT_DATE - INTERVAL '7 days' THEN 1 END) as quejas_semana,
                 COUNT(CASE WHEN sentimiento = 'muy_negativo' THEN 1 END) as muy_negativas,
                 COUNT(CASE WHEN urgencia >= 4 THEN 1 END) as criticas,
-                ROUND(AVG(score_sentimiento::numeric), 2) as sentimiento_promedio
-            FROM quejas
-        `);
+                ROUND(AVG(score_sentimiento::numeric), 2) as sentimiento_promedio,
+                (SELECT COUNT(*) FROM vista_quejas_para_ia WHERE queja_padre_id IS NOT NULL ${alcance}) as duplicadas_excluidas
+            FROM vista_quejas_para_ia
+            WHERE queja_padre_id IS NULL ${alcance}
+        `, params);
 
         // Distribución por categorías
         const categorias = await client.query(`
             SELECT categoria, COUNT(*) as total
             FROM vista_quejas_para_ia
-            WHERE categoria IS NOT NULL
+            WHERE categoria IS NOT NULL AND queja_padre_id IS NULL ${alcance}
             GROUP BY categoria
             ORDER BY total DESC
             LIMIT 10
-        `);
+        `, params);
+
+        // Distribución por canal de entrada
+        const canales = await client.query(`
+            SELECT
+                COALESCE(canal_origen, 'desconocido') as canal,
+                COUNT(*) as total,
+                COUNT(CASE WHEN fecha_creacion >= CURRENT_DATE - INTERVAL '7 days' THEN 1 END) as quejas_semana,
+                COUNT(CASE WHEN urgencia >= 4 THEN 1 END) as criticas,
+                ROUND(AVG(score_sentimiento::numeric), 2) as sentimiento_promedio
+            FROM vista_quejas_para_ia
+            WHERE queja_padre_id IS NULL ${alcance}
+            GROUP BY COALESCE(canal_origen, 'desconocido')
+            ORDER BY total DESC
+        `, params);
 
         // Sentimientos por región
         const sentimientosPorRegion = await client.query(`
@@ -521,24 +4171,29 @@ app.get('/api/dashboard/ia', async (req, res) => {
                 sentimiento,
                 COUNT(*) as total
             FROM vista_quejas_para_ia
-            WHERE region IS NOT NULL AND sentimiento IS NOT NULL
+            WHERE region IS NOT NULL AND sentimiento IS NOT NULL AND queja_padre_id IS NULL ${alcance}
             GROUP BY region, sentimiento
             ORDER BY region, total DESC
-        `);
+        `, params);
 
         // Insights activos
+        const paramsInsights = [];
         const insights = await client.query(`
             SELECT 
-                tipo_insight,
-                titulo,
-                descripcion,
-                impacto_estimado,
-                estado
-            FROM insights_ia
-            WHERE estado = 'nuevo'
-            ORDER BY created_at DESC
+                i.tipo_insight,
+                i.titulo,
+                i.descripcion,
+                i.impacto_estimado,
+                i.estado
+            FROM insights_ia i
+            LEFT JOIN sucursales s ON i.sucursal_id = s.id
+            LEFT JOIN municipios m ON s.municipio_id = m.id
+            LEFT JOIN estados e ON m.estado_id = e.id
+            WHERE i.estado = 'nuevo'
+            ${condicionAlcance(req.auth, { sucursal: 'i.sucursal_id', grupo: 's.grupo_id', region: 'e.region_id' }, paramsInsights)}
+            ORDER BY i.created_at DESC
             LIMIT 5
-        `);
+        `, paramsInsights);
 
         // Tendencias temporales
         const tendencias = await client.query(`
@@ -547,11 +4202,12 @@ app.get('/api/dashboard/ia', async (req, res) => {
                 COUNT(*) as total_quejas,
                 COUNT(CASE WHEN urgencia >= 4 THEN 1 END) as quejas_criticas,
                 ROUND(AVG(score_sentimiento::numeric), 2) as sentimiento_promedio
-            FROM quejas
+            FROM vista_quejas_para_ia
             WHERE fecha_creacion >= CURRENT_DATE - INTERVAL '30 days'
+            AND queja_padre_id IS NULL ${alcance}
             GROUP BY DATE_TRUNC('day', fecha_creacion)
             ORDER BY fecha
-        `);
+        `, params);
 
         client.release();
 
@@ -559,6 +4215,7 @@ app.get('/api/dashboard/ia', async (req, res) => {
             success: true,
             metricas: metricas.rows[0],
             categorias: categorias.rows,
+            por_canal: canales.rows,
             sentimientos_por_region: sentimientosPorRegion.rows,
             insights: insights.rows,
             tendencias: tendencias.rows
@@ -573,6 +4230,10 @@ app.get('/api/dashboard/ia', async (req, res) => {
 // Análisis predictivo
 app.get('/api/predictivo/tendencias', async (req, res) => {
     try {
+        const paramsSemana = [];
+        const paramsHora = [];
+        const paramsPrediccion = [];
+
         const client = await pool.connect();
 
         // Análisis de tendencias por día de la semana
@@ -584,9 +4245,10 @@ app.get('/api/predictivo/tendencias', async (req, res) => {
                 COUNT(CASE WHEN urgencia >= 4 THEN 1 END) as quejas_criticas
             FROM vista_quejas_para_ia
             WHERE fecha_creacion >= CURRENT_DATE - INTERVAL '90 days'
+            ${condicionAlcance(req.auth, ALCANCE_VISTA, paramsSemana)}
             GROUP BY dia_semana
             ORDER BY dia_semana
-        `);
+        `, paramsSemana);
 
         // Patrones por hora del día
         const patronesHora = await client.query(`
@@ -596,9 +4258,10 @@ app.get('/api/predictivo/tendencias', async (req, res) => {
                 COUNT(CASE WHEN sentimiento IN ('negativo', 'muy_negativo') THEN 1 END) as quejas_negativas
             FROM vista_quejas_para_ia
             WHERE fecha_creacion >= CURRENT_DATE - INTERVAL '30 days'
+            ${condicionAlcance(req.auth, ALCANCE_VISTA, paramsHora)}
             GROUP BY hora_del_dia
             ORDER BY hora_del_dia
-        `);
+        `, paramsHora);
 
         // Predicción simple basada en tendencias
         const prediccion = await client.query(`
@@ -606,8 +4269,9 @@ app.get('/api/predictivo/tendencias', async (req, res) => {
                 SELECT 
                     DATE_TRUNC('week', fecha_creacion) as semana,
                     COUNT(*) as quejas_semana
-                FROM quejas
+                FROM vista_quejas_para_ia
                 WHERE fecha_creacion >= CURRENT_DATE - INTERVAL '12 weeks'
+                ${condicionAlcance(req.auth, ALCANCE_VISTA, paramsPrediccion)}
                 GROUP BY DATE_TRUNC('week', fecha_creacion)
                 ORDER BY semana
             ),
@@ -627,7 +4291,7 @@ app.get('/api/predictivo/tendencias', async (req, res) => {
                     ELSE 'estable'
                 END as estabilidad_tendencia
             FROM tendencia
-        `);
+        `, paramsPrediccion);
 
         client.release();
 
@@ -650,14 +4314,17 @@ app.get('/api/recomendaciones/:sucursal_id?', async (req, res) => {
         const { sucursal_id } = req.params;
         const client = await pool.connect();
 
-        let whereClause = '';
-        let params = [];
+        const params = [];
+        let whereClause = 'WHERE 1=1';
 
         if (sucursal_id) {
-            whereClause = 'WHERE sucursal_id = $1';
-            params = [sucursal_id];
+            params.push(sucursal_id);
+            whereClause += ` AND sucursal_id = $${params.length}`;
         }
 
+        // Solo quejas dentro del alcance de la API key
+        whereClause += condicionAlcance(req.auth, ALCANCE_VISTA, params);
+
         // Análisis de problemas frecuentes
         const problemasFrec = await client.query(`
             SELECT 
@@ -676,7 +4343,7 @@ app.get('/api/recomendaciones/:sucursal_id?', async (req, res) => {
 
         // Generar recomendaciones basadas en patrones
         const recomendaciones = problemasFrec.rows.map(problema => {
-            const recomendacion = this.generarRecomendacion(problema);
+            const recomendacion = generarRecomendacion(problema);
             return {
                 problema: `${problema.categoria}${problema.subcategoria ? ` - ${problema.subcategoria}` : ''}`,
                 frecuencia: problema.frecuencia,
@@ -729,7 +4396,9 @@ app.get('/health', async (req, res) => {
             },
             cache_status: {
                 sucursales: sucursalesCache.size,
-                categorias: categoriasCache.size
+                categorias: categoriasCache.size,
+                version_lexico: lexicoCache.version,
+                version_modelo: modeloCache?.version ?? null
             }
         });
 
@@ -777,6 +4446,7 @@ function generarRecomendacion(problema) {
 async function iniciarServidor() {
     try {
         await analizador.cargarCaches();
+        revisarConfiguracionFirma();
         
         app.listen(PORT, () => {
             console.log(`🧠 Servidor EPL con IA ejecutándose en http://localhost:${PORT}`);
@@ -784,9 +4454,38 @@ async function iniciarServidor() {
             console.log(`📊 Dashboard IA: http://localhost:${PORT}/api/dashboard/ia`);
             console.log(`🔮 Predictivo: http://localhost:${PORT}/api/predictivo/tendencias`);
             console.log(`💡 Recomendaciones: http://localhost:${PORT}/api/recomendaciones`);
+            console.log(`⏰ SLA: http://localhost:${PORT}/api/sla/quejas`);
+            console.log(`👥 Segmentos de clientes: http://localhost:${PORT}/api/clientes/segmentos`);
             console.log(`\n🧪 Para probar: curl -X POST http://localhost:${PORT}/test-ia`);
         });
 
+        // Tareas periódicas: corren una vez al arrancar y luego en su intervalo (un servicio que
+        // se redespliega más seguido que el intervalo nunca llegaría a la primera ejecución)
+
+        // Revisión de SLA vencidos
+        const revisarSLA = () => analizador.revisarSLAIncumplidos().catch(error => {
+            console.error('Error revisando SLA:', error);
+        });
+        revisarSLA();
+        setInterval(revisarSLA, SLA_INTERVALO_REVISION_MIN * 60000);
+
+        // Segmentación de clientes
+        const segmentar = () => analizador.segmentarClientes().catch(error => {
+            console.error('Error segmentando clientes:', error);
+        });
+        segmentar();
+        setInterval(segmentar, SEGMENTACION_INTERVALO_HORAS * 3600000);
+
+        // Anonimización de quejas fuera del periodo de retención
+        const aplicarRetencion = () => analizador.aplicarRetencion().catch(error => {
+            console.error('Error aplicando retención de datos:', error);
+        });
+        aplicarRetencion();
+        setInterval(aplicarRetencion, RETENCION_INTERVALO_HORAS * 3600000);
+
+        // Procesamiento de las quejas recibidas por los webhooks
+        trabajadorCola = colaQuejas.iniciarTrabajador(procesarTrabajoCola, COLA_INTERVALO_MS);
+
     } catch (error) {
         console.error('❌ Error iniciando servidor:', error);
         process.exit(1);
@@ -794,7 +4493,7 @@ async function iniciarServidor() {
 }
 
 // Endpoint de prueba con IA
-app.post('/test-ia', async (req, res) => {
+app.post('/test-ia', soloAdmin, async (req, res) => {
     const quejaPrueba = {
         nombre: 'Cliente Prueba IA',
         telefono: '5512345678',
@@ -811,7 +4510,10 @@ app.post('/test-ia', async (req, res) => {
     }
 });
 
-iniciarServidor();
+// Los scripts de línea de comandos (importar-quejas.js) usan el analizador sin levantar el servidor
+if (require.main === module) {
+    iniciarServidor();
+}
 
 // Manejo de errores no capturados
 process.on('unhandledRejection', (err) => {
@@ -822,3 +4524,10 @@ process.on('uncaughtException', (err) => {
     console.error('Uncaught Exception:', err);
     process.exit(1);
 });
+
+module.exports = {
+    app,
+    pool,
+    analizador,
+    AnalizadorQuejas
+};
@@ -2,6 +2,9 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const { Pool } = require('pg');
+const { obtenerRol, protegerDatosPersonales } = require('./privacidad');
+const { crearAutenticacion, requiereRol, condicionAlcance } = require('./autenticacion');
+const { guardarCuerpoCrudo, firmar, revisarConfiguracionFirma, verificarFirma, claveIdempotencia, crearIdempotencia } = require('./webhook-seguridad');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -12,15 +15,51 @@ const pool = new Pool({
     ssl: { rejectUnauthorized: false }
 });
 
-app.use(cors());
-app.use(express.json());
+app.use(cors(process.env.CORS_ORIGENES ? { origin: process.env.CORS_ORIGENES.split(',').map(o => o.trim()) } : {}));
+app.use(express.json({ verify: guardarCuerpoCrudo }));
+
+// Autenticación por API key en todo excepto /health (mismas llaves y roles que server-ai.js)
+const autenticacion = crearAutenticacion(pool);
+const idempotencia = crearIdempotencia(pool);
+app.use((req, res, next) => {
+    if (req.path === '/health') return next();
+    autenticacion.autenticar(req, res, next);
+});
+
+// Quejas con sucursal, grupo y región para limitar al alcance de la API key
+const QUEJAS_CON_ALCANCE = `
+    quejas q
+    LEFT JOIN sucursales s ON q.sucursal_id = s.id
+    LEFT JOIN municipios m ON s.municipio_id = m.id
+    LEFT JOIN estados e ON m.estado_id = e.id
+`;
+const ALCANCE = { sucursal: 'q.sucursal_id', grupo: 's.grupo_id', region: 'e.region_id' };
 
 console.log('🧠 Iniciando servidor EPL con IA básica...');
 
 // Webhook principal con análisis básico
-app.post('/webhook/nueva-queja', async (req, res) => {
+app.post('/webhook/nueva-queja', requiereRol('admin', 'integracion'), verificarFirma, async (req, res) => {
+    const clave = claveIdempotencia(req);
+
     try {
-        console.log('📨 Nueva queja recibida:', req.body);
+        // Reintentos del emisor: regresar la queja ya creada sin insertar otra
+        const entrega = await idempotencia.reservar(clave);
+        if (!entrega.nueva) {
+            if (entrega.estado === 'completada') {
+                return res.json({
+                    ...entrega.respuesta,
+                    queja_id: entrega.queja_id,
+                    repetida: true,
+                    message: `Entrega repetida; la queja #${entrega.queja_id} ya fue procesada`
+                });
+            }
+            return res.status(409).json({
+                success: false,
+                error: 'Esta entrega todavía se está procesando; reintente más tarde'
+            });
+        }
+
+        console.log('📨 Nueva queja recibida');
         
         const client = await pool.connect();
         
@@ -109,7 +148,7 @@ app.post('/webhook/nueva-queja', async (req, res) => {
             console.log(`   Urgencia: ${urgencia}/5`);
             console.log(`   Sucursal: ${sucursalId ? 'Encontrada' : 'No mapeada'}`);
             
-            res.json({
+            const respuesta = {
                 success: true,
                 queja_id: quejaId,
                 analisis: {
@@ -119,7 +158,10 @@ app.post('/webhook/nueva-queja', async (req, res) => {
                     sucursal_mapeada: !!sucursalId
                 },
                 message: 'Queja procesada con IA exitosamente'
-            });
+            };
+            await idempotencia.completar(clave, quejaId, respuesta);
+
+            res.json(respuesta);
             
         } finally {
             client.release();
@@ -127,6 +169,7 @@ app.post('/webhook/nueva-queja', async (req, res) => {
         
     } catch (error) {
         console.error('❌ Error procesando queja:', error);
+        await idempotencia.fallar(clave, error.message).catch(() => {});
         res.status(500).json({ 
             success: false, 
             error: error.message 
@@ -137,6 +180,9 @@ app.post('/webhook/nueva-queja', async (req, res) => {
 // Ver quejas con análisis de IA
 app.get('/api/quejas', async (req, res) => {
     try {
+        const params = [];
+        const alcance = condicionAlcance(req.auth, ALCANCE, params);
+
         const client = await pool.connect();
         const result = await client.query(`
             SELECT 
@@ -147,6 +193,7 @@ app.get('/api/quejas', async (req, res) => {
                 q.sentimiento,
                 q.score_sentimiento,
                 q.urgencia,
+                q.resumen_ia,
                 c.nombre as cliente_nombre,
                 c.telefono as cliente_telefono,
                 s.nombre as sucursal_nombre,
@@ -157,14 +204,15 @@ app.get('/api/quejas', async (req, res) => {
             LEFT JOIN sucursales s ON q.sucursal_id = s.id
             LEFT JOIN municipios m ON s.municipio_id = m.id
             LEFT JOIN estados e ON m.estado_id = e.id
+            WHERE 1=1 ${alcance}
             ORDER BY q.fecha_creacion DESC
             LIMIT 20
-        `);
+        `, params);
         client.release();
         
         res.json({ 
             success: true, 
-            quejas: result.rows,
+            quejas: protegerDatosPersonales(result.rows, obtenerRol(req)),
             total: result.rowCount
         });
     } catch (error) {
@@ -175,6 +223,9 @@ app.get('/api/quejas', async (req, res) => {
 // Dashboard básico de IA
 app.get('/api/dashboard', async (req, res) => {
     try {
+        const params = [];
+        const alcance = condicionAlcance(req.auth, ALCANCE, params);
+
         const client = await pool.connect();
         
         // Métricas básicas
@@ -186,26 +237,27 @@ app.get('/api/dashboard', async (req, res) => {
                 COUNT(CASE WHEN sentimiento = 'positivo' THEN 1 END) as positivas,
                 COUNT(CASE WHEN urgencia >= 4 THEN 1 END) as criticas,
                 ROUND(AVG(score_sentimiento::numeric), 2) as sentimiento_promedio
-            FROM quejas
-        `);
+            FROM ${QUEJAS_CON_ALCANCE}
+            WHERE 1=1 ${alcance}
+        `, params);
         
         // Distribución de sentimientos
         const sentimientos = await client.query(`
             SELECT sentimiento, COUNT(*) as total
-            FROM quejas
-            WHERE sentimiento IS NOT NULL
+            FROM ${QUEJAS_CON_ALCANCE}
+            WHERE sentimiento IS NOT NULL ${alcance}
             GROUP BY sentimiento
             ORDER BY total DESC
-        `);
+        `, params);
         
         // Quejas por urgencia
         const urgencias = await client.query(`
             SELECT urgencia, COUNT(*) as total
-            FROM quejas
-            WHERE urgencia IS NOT NULL
+            FROM ${QUEJAS_CON_ALCANCE}
+            WHERE urgencia IS NOT NULL ${alcance}
             GROUP BY urgencia
             ORDER BY urgencia DESC
-        `);
+        `, params);
         
         client.release();
         
@@ -251,7 +303,7 @@ app.get('/health', async (req, res) => {
 });
 
 // Endpoint de prueba
-app.post('/test', async (req, res) => {
+app.post('/test', requiereRol('admin'), async (req, res) => {
     const quejaPrueba = {
         nombre: 'Cliente Prueba IA',
         telefono: '5512345678',
@@ -262,11 +314,24 @@ app.post('/test', async (req, res) => {
     try {
         console.log('🧪 Probando análisis de IA...');
         
-        // Simular el mismo proceso del webhook
+        // Simular el mismo proceso del webhook (firmado si hay WEBHOOK_SECRETO)
+        const cuerpo = JSON.stringify(quejaPrueba);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const clave = `prueba-${Date.now()}`;
         const respuesta = await fetch(`http://localhost:${PORT}/webhook/nueva-queja`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(quejaPrueba)
+            headers: {
+                'Content-Type': 'application/json',
+                'Idempotency-Key': clave,
+                ...(process.env.WEBHOOK_SECRETO ? {
+                    'X-Timestamp': String(timestamp),
+                    'X-Firma': firmar(process.env.WEBHOOK_SECRETO, timestamp, cuerpo, clave)
+                } : {}),
+                // Reusar la llave de quien llama
+                ...(req.get('Authorization') ? { Authorization: req.get('Authorization') } : {}),
+                ...(req.get('X-API-Key') ? { 'X-API-Key': req.get('X-API-Key') } : {})
+            },
+            body: cuerpo
         });
 
         const resultado = await respuesta.json();
@@ -278,6 +343,7 @@ app.post('/test', async (req, res) => {
 });
 
 app.listen(PORT, () => {
+    revisarConfiguracionFirma();
     console.log(`🚀 Servidor EPL con IA ejecutándose en http://localhost:${PORT}`);
     console.log(`📡 Webhook: http://localhost:${PORT}/webhook/nueva-queja`);
     console.log(`📊 Ver quejas: http://localhost:${PORT}/api/quejas`);
@@ -1,6 +1,9 @@
 // setup-database-ai.js - BASE DE DATOS OPTIMIZADA PARA IA
 require('dotenv').config();
 const { Pool } = require('pg');
+const { LEXICO_BASE } = require('./sentimiento-ia');
+const { normalizarTexto } = require('./similitud-texto');
+const { PERFILES_BASE } = require('./perfiles-ingesta');
 
 const pool = new Pool({
     connectionString: process.env.NEON_DATABASE_URL,
@@ -107,7 +110,7 @@ async function configurarBaseDatosIA() {
                 telefono VARCHAR(20),
                 email VARCHAR(255),
                 -- Campos para segmentación IA
-                segmento_cliente VARCHAR(50), -- 'frecuente', 'ocasional', 'nuevo'
+                segmento_cliente VARCHAR(50), -- 'frecuente', 'ocasional', 'nuevo', 'anonimo'
                 score_satisfaccion DECIMAL(3,2), -- 0.00 a 5.00
                 total_quejas INTEGER DEFAULT 0,
                 ultima_visita DATE,
@@ -183,6 +186,202 @@ async function configurarBaseDatosIA() {
             );
         `);
 
+        // Historial de cambios de estado de quejas
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS historial_estados_queja (
+                id SERIAL PRIMARY KEY,
+                queja_id INTEGER NOT NULL REFERENCES quejas(id) ON DELETE CASCADE,
+                estado_anterior VARCHAR(50), -- NULL al crear la queja
+                estado_nuevo VARCHAR(50) NOT NULL,
+                comentario TEXT,
+                usuario VARCHAR(100),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        // Alias aprendidos de sucursales (texto libre del cliente -> sucursal)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS alias_sucursales (
+                id SERIAL PRIMARY KEY,
+                alias TEXT NOT NULL UNIQUE, -- normalizado: minúsculas, sin acentos
+                sucursal_id INTEGER NOT NULL REFERENCES sucursales(id),
+                origen VARCHAR(50) DEFAULT 'api', -- 'api', 'revision_manual'
+                veces_usado INTEGER DEFAULT 0,
+                activo BOOLEAN DEFAULT true,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        // Versiones del léxico de sentimiento (cada cambio crea una versión)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS versiones_lexico (
+                version SERIAL PRIMARY KEY,
+                descripcion TEXT,
+                cambio JSONB,
+                usuario VARCHAR(100),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        // Léxico de sentimiento editable
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS lexico_sentimiento (
+                id SERIAL PRIMARY KEY,
+                termino VARCHAR(100) NOT NULL UNIQUE, -- minúsculas, sin acentos; puede ser una frase
+                peso DECIMAL(3,1) NOT NULL, -- -4.0 a 4.0 (negativo < 0 < positivo)
+                activo BOOLEAN DEFAULT true,
+                version_creacion INTEGER REFERENCES versiones_lexico(version),
+                version_modificacion INTEGER REFERENCES versiones_lexico(version),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        // Versiones del clasificador entrenado (solo una activa)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS modelos_clasificador (
+                version SERIAL PRIMARY KEY,
+                tipo VARCHAR(50) NOT NULL, -- 'naive_bayes'
+                modelo JSONB NOT NULL,
+                ejemplos_entrenamiento INTEGER, -- con los que se entrenó el modelo publicado
+                ejemplos_prueba INTEGER, -- apartados para medir precision_holdout
+                precision_holdout DECIMAL(4,3), -- 0.000 a 1.000
+                evaluacion JSONB,
+                activo BOOLEAN DEFAULT false,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        // Clientes fusionados: el registro original se borra, aquí queda su copia
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS clientes_fusionados (
+                id SERIAL PRIMARY KEY,
+                cliente_destino_id INTEGER NOT NULL REFERENCES clientes(id) ON DELETE CASCADE,
+                cliente_origen_id INTEGER NOT NULL, -- ya no existe en clientes
+                datos_origen JSONB NOT NULL,
+                quejas_movidas INTEGER[],
+                usuario VARCHAR(100),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        // Solicitudes de derechos ARCO atendidas (LFPDPPP), p. ej. cancelación de datos personales
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS solicitudes_arco (
+                id SERIAL PRIMARY KEY,
+                cliente_id INTEGER REFERENCES clientes(id) ON DELETE SET NULL,
+                tipo VARCHAR(20) NOT NULL, -- 'cancelacion'
+                motivo TEXT,
+                detalle JSONB,
+                usuario VARCHAR(100),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        // API keys con rol y alcance (solo se guarda el hash de la llave)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS api_keys (
+                id SERIAL PRIMARY KEY,
+                nombre VARCHAR(100) NOT NULL,
+                key_hash VARCHAR(64) NOT NULL UNIQUE,
+                prefijo VARCHAR(12) NOT NULL, -- para identificar la llave sin exponerla
+                rol VARCHAR(20) NOT NULL, -- 'admin', 'regional', 'grupo', 'sucursal', 'integracion'
+                region_id INTEGER REFERENCES regiones_operativas(id),
+                grupo_id INTEGER REFERENCES grupos_operativos(id),
+                sucursal_id INTEGER REFERENCES sucursales(id),
+                gerente_id INTEGER REFERENCES gerentes_operaciones(id),
+                activa BOOLEAN DEFAULT true,
+                expira_en TIMESTAMP,
+                ultimo_uso TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        // Entregas del webhook por clave de idempotencia (un reintento regresa la misma queja)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS webhook_entregas (
+                id SERIAL PRIMARY KEY,
+                idempotency_key VARCHAR(200) NOT NULL UNIQUE,
+                estado VARCHAR(20) NOT NULL, -- 'procesando', 'completada', 'error'
+                queja_id INTEGER REFERENCES quejas(id) ON DELETE SET NULL,
+                respuesta JSONB,
+                error_mensaje TEXT,
+                intentos INTEGER DEFAULT 1,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        // Cola de quejas recibidas por los webhooks (ver cola-quejas.js)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS cola_quejas (
+                id SERIAL PRIMARY KEY,
+                idempotency_key VARCHAR(200) NOT NULL UNIQUE,
+                perfil VARCHAR(50) NOT NULL,
+                datos JSONB, -- se borran al completarse (ya quedan en quejas.datos_originales)
+                crudo BYTEA, -- correo original, para leer sus adjuntos
+                estado VARCHAR(20) NOT NULL DEFAULT 'pendiente', -- 'pendiente', 'procesando', 'completada', 'fallida'
+                intentos INTEGER NOT NULL DEFAULT 0,
+                max_intentos INTEGER NOT NULL DEFAULT 5,
+                proximo_intento TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                tomado_en TIMESTAMP,
+                ultimo_error TEXT,
+                errores JSONB DEFAULT '[]',
+                queja_id INTEGER REFERENCES quejas(id) ON DELETE SET NULL,
+                resultado JSONB,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        // Trabajos de la cola que agotaron sus intentos, para revisarlos y reprocesarlos
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS quejas_fallidas (
+                id SERIAL PRIMARY KEY,
+                trabajo_id INTEGER NOT NULL REFERENCES cola_quejas(id) ON DELETE CASCADE,
+                idempotency_key VARCHAR(200) NOT NULL,
+                perfil VARCHAR(50) NOT NULL,
+                datos JSONB,
+                intentos INTEGER NOT NULL,
+                ultimo_error TEXT,
+                errores JSONB DEFAULT '[]',
+                reprocesada_en TIMESTAMP,
+                reprocesada_por VARCHAR(100),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        // Evidencias de una queja (adjuntos del correo, fotos); al anonimizar la queja se borran
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS evidencias_queja (
+                id SERIAL PRIMARY KEY,
+                queja_id INTEGER NOT NULL REFERENCES quejas(id) ON DELETE CASCADE,
+                nombre_archivo VARCHAR(255) NOT NULL,
+                tipo_contenido VARCHAR(100),
+                tamano_bytes INTEGER NOT NULL,
+                sha256 VARCHAR(64) NOT NULL,
+                contenido BYTEA, -- NULL si excedió el tamaño máximo
+                origen VARCHAR(50),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        // Perfiles de ingesta: nombres de campos, formato de fecha y canal de cada origen de quejas
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS perfiles_ingesta (
+                id SERIAL PRIMARY KEY,
+                nombre VARCHAR(50) NOT NULL UNIQUE,
+                canal_origen VARCHAR(50) NOT NULL,
+                campos JSONB NOT NULL, -- { campo canónico: [nombres en el origen] }
+                formato_fecha VARCHAR(40) DEFAULT 'auto',
+                valores_defecto JSONB DEFAULT '{}',
+                activo BOOLEAN DEFAULT true,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
         // Análisis de patrones (para IA predictiva)
         await client.query(`
             CREATE TABLE IF NOT EXISTS patrones_quejas (
@@ -256,6 +455,57 @@ async function configurarBaseDatosIA() {
             );
         `);
 
+        // ===== COLUMNAS AGREGADAS A TABLAS EXISTENTES =====
+
+        // SLA: fecha límite de resolución según la categoría
+        await client.query(`
+            ALTER TABLE quejas ADD COLUMN IF NOT EXISTS fecha_limite_sla TIMESTAMP;
+            ALTER TABLE insights_ia ADD COLUMN IF NOT EXISTS queja_id INTEGER REFERENCES quejas(id) ON DELETE SET NULL;
+        `);
+
+        // Categorías y subcategorías retiradas desde la API de catálogo
+        await client.query(`
+            ALTER TABLE categorias_quejas ADD COLUMN IF NOT EXISTS activa BOOLEAN DEFAULT true;
+            ALTER TABLE subcategorias_quejas ADD COLUMN IF NOT EXISTS activa BOOLEAN DEFAULT true;
+        `);
+
+        // Categoría revisada por una persona (ejemplos para entrenar el clasificador)
+        await client.query(`
+            ALTER TABLE quejas ADD COLUMN IF NOT EXISTS categoria_confirmada BOOLEAN DEFAULT false;
+        `);
+
+        // Versión del léxico con la que se calculó el sentimiento
+        await client.query(`
+            ALTER TABLE quejas ADD COLUMN IF NOT EXISTS version_lexico INTEGER;
+        `);
+
+        // Segmentación de clientes (la recalcula el servidor periódicamente)
+        await client.query(`
+            ALTER TABLE clientes ADD COLUMN IF NOT EXISTS riesgo_abandono DECIMAL(3,2);
+            ALTER TABLE clientes ADD COLUMN IF NOT EXISTS fecha_segmentacion TIMESTAMP;
+        `);
+
+        // Anonimización (retención o cancelación de datos personales)
+        await client.query(`
+            ALTER TABLE quejas ADD COLUMN IF NOT EXISTS anonimizada_en TIMESTAMP;
+            ALTER TABLE clientes ADD COLUMN IF NOT EXISTS anonimizado_en TIMESTAMP;
+        `);
+
+        // Duplicados: la queja repetida apunta a la original y no se cuenta dos veces
+        await client.query(`
+            ALTER TABLE quejas ADD COLUMN IF NOT EXISTS queja_padre_id INTEGER REFERENCES quejas(id) ON DELETE SET NULL;
+            ALTER TABLE quejas ADD COLUMN IF NOT EXISTS similitud_duplicado DECIMAL(3,2);
+        `);
+
+        // Bitácora de ingesta: canal, queja creada y tiempo de cada etapa (ver registro-ingesta.js);
+        // reprocesos cuenta las veces que un trabajo regresó a la cola desde quejas_fallidas
+        await client.query(`
+            ALTER TABLE sync_logs ADD COLUMN IF NOT EXISTS canal VARCHAR(50);
+            ALTER TABLE sync_logs ADD COLUMN IF NOT EXISTS queja_id INTEGER;
+            ALTER TABLE sync_logs ADD COLUMN IF NOT EXISTS tiempos_etapas JSONB;
+            ALTER TABLE cola_quejas ADD COLUMN IF NOT EXISTS reprocesos INTEGER DEFAULT 0;
+        `);
+
         console.log('📍 Insertando datos base y categorías...');
 
         // Insertar regiones
@@ -322,6 +572,39 @@ async function configurarBaseDatosIA() {
             `, [nombre, catId, desc, keywords]);
         }
 
+        // Léxico de sentimiento inicial (versión 1)
+        const lexicoExistente = await client.query('SELECT COUNT(*)::int as total FROM versiones_lexico');
+        if (lexicoExistente.rows[0].total === 0) {
+            const version = await client.query(`
+                INSERT INTO versiones_lexico (descripcion, usuario)
+                VALUES ('Léxico base', 'setup')
+                RETURNING version
+            `);
+
+            for (const [termino, peso] of Object.entries(LEXICO_BASE)) {
+                await client.query(`
+                    INSERT INTO lexico_sentimiento (termino, peso, version_creacion, version_modificacion)
+                    VALUES ($1, $2, $3, $3)
+                    ON CONFLICT (termino) DO NOTHING;
+                `, [normalizarTexto(termino), peso, version.rows[0].version]);
+            }
+        }
+
+        // Perfiles de ingesta de cada canal (google_sheets es el que se usa si la solicitud no indica otro)
+        for (const perfil of Object.values(PERFILES_BASE)) {
+            await client.query(`
+                INSERT INTO perfiles_ingesta (nombre, canal_origen, campos, formato_fecha, valores_defecto)
+                VALUES ($1, $2, $3, $4, $5)
+                ON CONFLICT (nombre) DO NOTHING;
+            `, [
+                perfil.nombre,
+                perfil.canal_origen,
+                JSON.stringify(perfil.campos),
+                perfil.formato_fecha,
+                JSON.stringify(perfil.valores_defecto)
+            ]);
+        }
+
         // Insertar municipios principales
         const municipios = [
             ['Monterrey', 'NL', 25.6866, -100.3161],
@@ -352,17 +635,20 @@ async function configurarBaseDatosIA() {
             `, [nombre, estado_codigo, lat, lng]);
         }
 
-        // Insertar algunas sucursales principales (las más importantes)
+        // Insertar algunas sucursales principales (las más importantes).
+        // El código postal permite ubicar quejas que solo traen CP (resolverOrigenGeografico);
+        // aquí va el del centro del municipio, y en las demás sucursales hay que llenarlo
+        // (UPDATE sucursales SET codigo_postal = ...) para que esa búsqueda las considere
         const sucursalesPrincipales = [
-            [1, '1 - Pino Suarez', 'Monterrey', 'TEPEYAC', 'Av. Pino Suarez #500 sur Col. Centro'],
-            [10, '10 - Barragan', 'San Nicolas de los Garza', 'OGAS', 'Av. Manuel I. Barragán #1401'],
-            [65, '65 - Pedro Cardenas', 'Matamoros', 'GRUPO MATAMOROS', 'Pedro Cardenas'],
-            [73, '73 - Anzalduas', 'Reynosa', 'CRR', 'Anzalduas'],
-            [52, '52 - Venustiano Carranza', 'Saltillo', 'GRUPO SALTILLO', 'Venustiano Carranza'],
-            [42, '42 - Independencia', 'Torreon', 'PLOG TORREON', 'Independencia'],
-            [62, '62 - Lazaro Cardenas (Morelia)', 'Morelia', 'CANTERA ROSA (MORELIA)', 'Lazaro Cardenas'],
-            [48, '48 - Refugio', 'Queretaro', 'PLOG QUERETARO', 'Refugio'],
-            [23, '23 - Guasave', 'Guasave', 'TEC', 'Guasave Centro']
+            [1, '1 - Pino Suarez', 'Monterrey', 'TEPEYAC', 'Av. Pino Suarez #500 sur Col. Centro', '64000'],
+            [10, '10 - Barragan', 'San Nicolas de los Garza', 'OGAS', 'Av. Manuel I. Barragán #1401', '66400'],
+            [65, '65 - Pedro Cardenas', 'Matamoros', 'GRUPO MATAMOROS', 'Pedro Cardenas', '87300'],
+            [73, '73 - Anzalduas', 'Reynosa', 'CRR', 'Anzalduas', '88500'],
+            [52, '52 - Venustiano Carranza', 'Saltillo', 'GRUPO SALTILLO', 'Venustiano Carranza', '25000'],
+            [42, '42 - Independencia', 'Torreon', 'PLOG TORREON', 'Independencia', '27000'],
+            [62, '62 - Lazaro Cardenas (Morelia)', 'Morelia', 'CANTERA ROSA (MORELIA)', 'Lazaro Cardenas', '58000'],
+            [48, '48 - Refugio', 'Queretaro', 'PLOG QUERETARO', 'Refugio', '76000'],
+            [23, '23 - Guasave', 'Guasave', 'TEC', 'Guasave Centro', '81000']
         ];
 
         // Crear grupos operativos básicos
@@ -374,15 +660,16 @@ async function configurarBaseDatosIA() {
             ON CONFLICT (nombre) DO NOTHING;
         `);
 
-        for (const [external_key, nombre, municipio, grupo, direccion] of sucursalesPrincipales) {
+        for (const [external_key, nombre, municipio, grupo, direccion, codigo_postal] of sucursalesPrincipales) {
             await client.query(`
-                INSERT INTO sucursales (external_key, nombre, municipio_id, grupo_id, direccion)
+                INSERT INTO sucursales (external_key, nombre, municipio_id, grupo_id, direccion, codigo_postal)
                 SELECT 
-                    $1, $2, m.id, go.id, $5
+                    $1, $2, m.id, go.id, $5, $6
                 FROM municipios m, grupos_operativos go
                 WHERE m.nombre = $3 AND go.nombre = $4
-                ON CONFLICT (external_key) DO NOTHING;
-            `, [external_key, nombre, municipio, grupo, direccion]);
+                ON CONFLICT (external_key) DO UPDATE
+                SET codigo_postal = COALESCE(sucursales.codigo_postal, EXCLUDED.codigo_postal);
+            `, [external_key, nombre, municipio, grupo, direccion, codigo_postal]);
         }
 
         // Crear vistas para IA y analytics
@@ -428,7 +715,16 @@ async function configurarBaseDatosIA() {
                 EXTRACT(HOUR FROM q.fecha_creacion) as hora_del_dia,
                 EXTRACT(DOW FROM q.fecha_creacion) as dia_semana,
                 DATE_TRUNC('week', q.fecha_creacion) as semana,
-                DATE_TRUNC('month', q.fecha_creacion) as mes
+                DATE_TRUNC('month', q.fecha_creacion) as mes,
+                
+                -- Columnas nuevas siempre al final (CREATE OR REPLACE VIEW no permite reordenar)
+                q.resumen_ia,
+                q.queja_padre_id,
+                q.cliente_id,
+                q.sucursal_id,
+                s.grupo_id,
+                e.region_id,
+                q.canal_origen
                 
             FROM quejas q
             LEFT JOIN clientes c ON q.cliente_id = c.id
@@ -551,6 +847,8 @@ async function configurarBaseDatosIA() {
             CREATE INDEX IF NOT EXISTS idx_quejas_urgencia ON quejas(urgencia);
             CREATE INDEX IF NOT EXISTS idx_quejas_estado ON quejas(estado_queja);
             CREATE INDEX IF NOT EXISTS idx_quejas_palabras_clave ON quejas USING GIN(palabras_clave);
+            CREATE INDEX IF NOT EXISTS idx_historial_estados_queja ON historial_estados_queja(queja_id, created_at);
+            CREATE INDEX IF NOT EXISTS idx_quejas_fecha_limite_sla ON quejas(fecha_limite_sla) WHERE fecha_resolucion IS NULL;
             
             -- Índices para análisis temporal
             CREATE INDEX IF NOT EXISTS idx_quejas_fecha_trunc_day ON quejas(DATE_TRUNC('day', fecha_creacion));
@@ -560,16 +858,38 @@ async function configurarBaseDatosIA() {
             -- Índices para clientes
             CREATE INDEX IF NOT EXISTS idx_clientes_telefono ON clientes(telefono);
             CREATE INDEX IF NOT EXISTS idx_clientes_segmento ON clientes(segmento_cliente);
+            CREATE INDEX IF NOT EXISTS idx_clientes_nombre_lower ON clientes(LOWER(nombre));
+            CREATE INDEX IF NOT EXISTS idx_clientes_fusionados_destino ON clientes_fusionados(cliente_destino_id);
             
             -- Índices para sucursales
             CREATE INDEX IF NOT EXISTS idx_sucursales_external_key ON sucursales(external_key);
             CREATE INDEX IF NOT EXISTS idx_sucursales_nombre_lower ON sucursales(LOWER(nombre));
             CREATE INDEX IF NOT EXISTS idx_municipios_nombre_lower ON municipios(LOWER(nombre));
+            CREATE INDEX IF NOT EXISTS idx_alias_sucursales_sucursal ON alias_sucursales(sucursal_id);
             
             -- Índices para análisis de patrones
             CREATE INDEX IF NOT EXISTS idx_patrones_fecha ON patrones_quejas(fecha_analisis DESC);
             CREATE INDEX IF NOT EXISTS idx_insights_estado ON insights_ia(estado);
             CREATE INDEX IF NOT EXISTS idx_insights_impacto ON insights_ia(impacto_estimado);
+            CREATE INDEX IF NOT EXISTS idx_insights_queja ON insights_ia(queja_id, tipo_insight);
+            
+            -- Índices para detección de duplicados
+            CREATE INDEX IF NOT EXISTS idx_quejas_padre ON quejas(queja_padre_id) WHERE queja_padre_id IS NOT NULL;
+            CREATE INDEX IF NOT EXISTS idx_quejas_sucursal_fecha ON quejas(sucursal_id, fecha_creacion);
+            CREATE INDEX IF NOT EXISTS idx_quejas_cliente_fecha ON quejas(cliente_id, fecha_creacion);
+            
+            -- Evidencias por queja
+            CREATE INDEX IF NOT EXISTS idx_evidencias_queja ON evidencias_queja(queja_id);
+            
+            -- Distribución por canal de entrada
+            CREATE INDEX IF NOT EXISTS idx_quejas_canal_fecha ON quejas(canal_origen, fecha_creacion);
+
+            -- Cola de quejas: trabajos listos para tomar y fallidas sin reprocesar
+            CREATE INDEX IF NOT EXISTS idx_cola_quejas_pendientes ON cola_quejas(proximo_intento, id) WHERE estado IN ('pendiente', 'procesando');
+            CREATE INDEX IF NOT EXISTS idx_quejas_fallidas_pendientes ON quejas_fallidas(created_at DESC) WHERE reprocesada_en IS NULL;
+
+            -- Métricas de ingesta por ventana de tiempo y canal
+            CREATE INDEX IF NOT EXISTS idx_sync_logs_fecha_canal ON sync_logs(created_at, canal);
         `);
 
         console.log('✅ Base de datos optimizada para IA configurada exitosamente!');
@@ -582,7 +902,8 @@ async function configurarBaseDatosIA() {
                 (SELECT COUNT(*) FROM municipios) as municipios,
                 (SELECT COUNT(*) FROM sucursales) as sucursales,
                 (SELECT COUNT(*) FROM categorias_quejas) as categorias,
-                (SELECT COUNT(*) FROM subcategorias_quejas) as subcategorias
+                (SELECT COUNT(*) FROM subcategorias_quejas) as subcategorias,
+                (SELECT COUNT(*) FROM lexico_sentimiento) as terminos_lexico
         `);
 
         console.log('📈 Datos insertados:', conteos.rows[0]);
@@ -0,0 +1,169 @@
+// similitud-texto.js - COMPARACIÓN DIFUSA DE TEXTOS (SIN ACENTOS, TOLERANTE A ERRORES)
+
+// Palabras que no aportan al comparar nombres de lugares
+const PALABRAS_VACIAS = ['de', 'del', 'la', 'las', 'el', 'los', 'y', 'en', 'sucursal', 'suc'];
+
+// similitudSimetrica compara textos largos (quejas) muchas veces dentro de una transacción:
+// solo toma los primeros caracteres, y si los trigramas ya dicen que son muy distintos
+// no hace la comparación palabra por palabra (Levenshtein, mucho más cara)
+const LARGO_MAXIMO_COMPARACION = 500;
+const TRIGRAMAS_MINIMO_PALABRAS = 0.25;
+
+// Minúsculas, sin acentos, sin signos y con espacios simples
+function normalizarTexto(texto) {
+    if (!texto) return '';
+    return texto.toString()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Quita prefijos de número de sucursal como "10 - " o "#10 "
+function quitarPrefijoSucursal(nombre) {
+    if (!nombre) return '';
+    return nombre.toString().replace(/^\s*#?\d+\s*[-–.:)]?\s*/, '');
+}
+
+function tokenizar(texto) {
+    return normalizarTexto(texto)
+        .split(' ')
+        .filter(token => token && !PALABRAS_VACIAS.includes(token));
+}
+
+// Forma base aproximada de una palabra en español: sin plural y en masculino
+// ("sucias" -> "sucio", "baños" -> "bano", "ciones" -> "cion")
+function raizPalabra(palabra) {
+    let raiz = normalizarTexto(palabra);
+    if (raiz.length > 3 && raiz.endsWith('s')) {
+        raiz = /(?:[nrd])es$/.test(raiz) && raiz.length > 5 ? raiz.slice(0, -2) : raiz.slice(0, -1);
+    }
+    if (raiz.length >= 4 && raiz.endsWith('a')) {
+        raiz = raiz.slice(0, -1) + 'o';
+    }
+    return raiz;
+}
+
+function distanciaLevenshtein(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let anterior = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const actual = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const costo = a[i - 1] === b[j - 1] ? 0 : 1;
+            actual[j] = Math.min(
+                actual[j - 1] + 1,
+                anterior[j] + 1,
+                anterior[j - 1] + costo
+            );
+        }
+        anterior = actual;
+    }
+
+    return anterior[b.length];
+}
+
+// 1 - distancia relativa a la palabra más larga
+function similitudLevenshtein(a, b) {
+    const largo = Math.max(a.length, b.length);
+    if (largo === 0) return 1;
+    return 1 - distanciaLevenshtein(a, b) / largo;
+}
+
+function trigramas(texto) {
+    const conjunto = new Set();
+    texto.split(' ').filter(Boolean).forEach(palabra => {
+        const relleno = `  ${palabra} `;
+        for (let i = 0; i < relleno.length - 2; i++) {
+            conjunto.add(relleno.substring(i, i + 3));
+        }
+    });
+    return conjunto;
+}
+
+// Coeficiente de Dice sobre trigramas (similar a pg_trgm)
+function similitudTrigramas(a, b) {
+    const ta = trigramas(normalizarTexto(a));
+    const tb = trigramas(normalizarTexto(b));
+    if (ta.size === 0 || tb.size === 0) return 0;
+
+    let comunes = 0;
+    ta.forEach(t => { if (tb.has(t)) comunes++; });
+
+    return (2 * comunes) / (ta.size + tb.size);
+}
+
+// Qué tanto de la búsqueda aparece en el texto, palabra por palabra,
+// tolerando errores de escritura ("monterey" ~ "monterrey")
+// Cada palabra distinta cuenta una vez
+function coberturaPalabras(busqueda, texto, minimo = 0.75) {
+    const tokensBusqueda = [...new Set(tokenizar(busqueda))];
+    const tokensTexto = new Set(tokenizar(texto));
+    if (tokensBusqueda.length === 0 || tokensTexto.size === 0) return 0;
+
+    let total = 0;
+    tokensBusqueda.forEach(token => {
+        if (tokensTexto.has(token)) {
+            total += 1;
+            return;
+        }
+
+        let mejor = 0;
+        tokensTexto.forEach(candidato => {
+            // Con esta diferencia de largo no se puede llegar al mínimo
+            if (Math.abs(token.length - candidato.length) > (1 - minimo) * Math.max(token.length, candidato.length)) return;
+            const sim = similitudLevenshtein(token, candidato);
+            if (sim > mejor) mejor = sim;
+        });
+        total += mejor >= minimo ? mejor : 0;
+    });
+
+    return total / tokensBusqueda.length;
+}
+
+// Similitud 0-1 entre lo que escribió el cliente y un nombre de referencia
+function similitudTexto(busqueda, referencia) {
+    const a = normalizarTexto(busqueda);
+    const b = normalizarTexto(referencia);
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    const trigrama = similitudTrigramas(a, b);
+    const cobertura = coberturaPalabras(a, b);
+
+    // La cobertura completa de palabras no llega a 1 para no empatar con una coincidencia exacta
+    return Math.max(trigrama, cobertura * 0.95);
+}
+
+// Para textos largos (dos quejas) donde ninguno es "la búsqueda": la cobertura debe darse en ambos sentidos
+function similitudSimetrica(a, b) {
+    const textoA = normalizarTexto(a).substring(0, LARGO_MAXIMO_COMPARACION);
+    const textoB = normalizarTexto(b).substring(0, LARGO_MAXIMO_COMPARACION);
+    if (!textoA || !textoB) return 0;
+    if (textoA === textoB) return 1;
+
+    const trigrama = similitudTrigramas(textoA, textoB);
+    if (trigrama < TRIGRAMAS_MINIMO_PALABRAS) return trigrama;
+
+    const cobertura = Math.min(coberturaPalabras(textoA, textoB), coberturaPalabras(textoB, textoA));
+    return Math.max(trigrama, cobertura * 0.95);
+}
+
+module.exports = {
+    normalizarTexto,
+    quitarPrefijoSucursal,
+    tokenizar,
+    raizPalabra,
+    distanciaLevenshtein,
+    similitudLevenshtein,
+    similitudTrigramas,
+    coberturaPalabras,
+    similitudTexto,
+    similitudSimetrica
+};
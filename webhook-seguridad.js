@@ -0,0 +1,170 @@
+// webhook-seguridad.js - FIRMA HMAC, PROTECCIÓN CONTRA REENVÍOS E IDEMPOTENCIA DEL WEBHOOK
+//
+// Quien envía (p. ej. el Apps Script de Google Sheets) agrega:
+//   X-Timestamp: segundos Unix del envío
+//   X-Firma:     hex( HMAC-SHA256(WEBHOOK_SECRETO, `${X-Timestamp}.${cuerpo crudo}`) ), o
+//                `${X-Timestamp}.${Idempotency-Key}.${cuerpo crudo}` si envía Idempotency-Key
+//   Idempotency-Key (opcional): si falta se deriva de la fila de la hoja y su fecha,
+//                               o del cuerpo completo
+// Un reintento con la misma clave regresa la queja ya creada en lugar de insertar otra.
+// La clave va firmada (o se deriva del cuerpo firmado), así que reenviar una solicitud capturada
+// dentro de la ventana de X-Timestamp solo regresa la entrega ya registrada, y cambiarle la
+// clave invalida la firma. Por eso no se rechazan firmas repetidas: un reintento idéntico del
+// emisor tras un timeout debe recibir la queja original.
+// En producción (NODE_ENV=production) sin WEBHOOK_SECRETO el webhook se rechaza.
+const crypto = require('crypto');
+
+const TOLERANCIA_SEGUNDOS = parseInt(process.env.WEBHOOK_TOLERANCIA_SEG || '300');
+
+// Para express.json({ verify }): la firma se calcula sobre los bytes recibidos
+function guardarCuerpoCrudo(req, res, buffer) {
+    req.cuerpoCrudo = buffer;
+}
+
+function firmar(secreto, timestamp, cuerpo, claveIdempotencia = null) {
+    const prefijo = claveIdempotencia ? `${timestamp}.${claveIdempotencia}.` : `${timestamp}.`;
+    return crypto.createHmac('sha256', secreto).update(prefijo).update(cuerpo).digest('hex');
+}
+
+function firmaObligatoria() {
+    return process.env.NODE_ENV === 'production';
+}
+
+// Para el arranque del servidor: avisa si el webhook quedó sin firma
+function revisarConfiguracionFirma() {
+    if (process.env.WEBHOOK_SECRETO) return;
+    if (firmaObligatoria()) {
+        console.warn('⚠️ WEBHOOK_SECRETO no está definido; los webhooks firmados se rechazarán hasta configurarlo');
+    } else {
+        console.warn('⚠️ WEBHOOK_SECRETO no está definido; los webhooks se aceptan sin firma (solo desarrollo)');
+    }
+}
+
+// Middleware; sin WEBHOOK_SECRETO solo se acepta sin firma fuera de producción
+function verificarFirma(req, res, next) {
+    const secreto = process.env.WEBHOOK_SECRETO;
+    if (!secreto) {
+        if (!firmaObligatoria()) return next();
+        return res.status(503).json({ success: false, error: 'Webhook sin configurar: falta WEBHOOK_SECRETO' });
+    }
+
+    const timestamp = parseInt(req.get('X-Timestamp'));
+    const firma = req.get('X-Firma') || '';
+
+    if (!timestamp || !firma) {
+        return res.status(401).json({ success: false, error: 'Faltan X-Timestamp o X-Firma' });
+    }
+
+    if (Math.abs(Date.now() / 1000 - timestamp) > TOLERANCIA_SEGUNDOS) {
+        return res.status(401).json({ success: false, error: 'X-Timestamp fuera de la ventana permitida' });
+    }
+
+    const esperada = Buffer.from(firmar(secreto, timestamp, req.cuerpoCrudo || Buffer.alloc(0), req.get('Idempotency-Key')), 'hex');
+    const recibida = Buffer.from(firma, 'hex');
+    if (recibida.length !== esperada.length || !crypto.timingSafeEqual(recibida, esperada)) {
+        return res.status(401).json({ success: false, error: 'Firma inválida' });
+    }
+
+    next();
+}
+
+// WhatsApp Cloud API: Meta firma el cuerpo con el secreto de la app en X-Hub-Signature-256
+// ("sha256=<hex>"). Sin WHATSAPP_APP_SECRET la ruta exige API key como las demás
+function verificarFirmaWhatsApp(req, res, next) {
+    const secreto = process.env.WHATSAPP_APP_SECRET;
+    if (!secreto) return next();
+
+    const firma = (req.get('X-Hub-Signature-256') || '').replace(/^sha256=/, '');
+    const esperada = Buffer.from(
+        crypto.createHmac('sha256', secreto).update(req.cuerpoCrudo || Buffer.alloc(0)).digest('hex'),
+        'hex'
+    );
+    const recibida = Buffer.from(firma, 'hex');
+    if (recibida.length !== esperada.length || !crypto.timingSafeEqual(recibida, esperada)) {
+        return res.status(401).json({ success: false, error: 'Firma de WhatsApp inválida' });
+    }
+
+    next();
+}
+
+// Verificación de la suscripción del webhook (GET con hub.mode, hub.verify_token y hub.challenge)
+function verificarSuscripcionWhatsApp(req, res) {
+    const token = process.env.WHATSAPP_VERIFY_TOKEN;
+    if (token && req.query['hub.mode'] === 'subscribe' && req.query['hub.verify_token'] === token) {
+        return res.status(200).send(req.query['hub.challenge']);
+    }
+    res.sendStatus(403);
+}
+
+function claveIdempotencia(req) {
+    const explicita = req.get('Idempotency-Key');
+    if (explicita) return explicita.substring(0, 200);
+
+    const datos = req.body || {};
+    const fila = datos.fila ?? datos.row ?? datos.Fila;
+    const fecha = datos.fecha_creacion ?? datos['Created on'] ?? datos.timestamp ?? datos.Timestamp;
+    const base = fila !== undefined && fecha !== undefined
+        ? `fila:${fila}|${fecha}`
+        : `cuerpo:${req.cuerpoCrudo ? req.cuerpoCrudo.toString() : JSON.stringify(datos)}`;
+
+    return crypto.createHash('sha256').update(base).digest('hex');
+}
+
+// Registro de entregas en webhook_entregas
+function crearIdempotencia(pool) {
+    // Regresa { nueva: true } si esta solicitud debe procesarse, o la entrega previa
+    async function reservar(clave) {
+        const nueva = await pool.query(`
+            INSERT INTO webhook_entregas (idempotency_key, estado)
+            VALUES ($1, 'procesando')
+            ON CONFLICT (idempotency_key) DO NOTHING
+            RETURNING id
+        `, [clave]);
+        if (nueva.rows.length > 0) return { nueva: true };
+
+        // Una entrega que falló (o quedó a medias por una caída) se puede reintentar con la misma clave
+        const reintento = await pool.query(`
+            UPDATE webhook_entregas
+            SET estado = 'procesando', intentos = intentos + 1, updated_at = CURRENT_TIMESTAMP
+            WHERE idempotency_key = $1
+            AND (estado = 'error' OR (estado = 'procesando' AND updated_at < CURRENT_TIMESTAMP - INTERVAL '10 minutes'))
+            RETURNING id
+        `, [clave]);
+        if (reintento.rows.length > 0) return { nueva: true };
+
+        const previa = await pool.query(
+            'SELECT estado, queja_id, respuesta, created_at FROM webhook_entregas WHERE idempotency_key = $1',
+            [clave]
+        );
+        return { nueva: false, ...previa.rows[0] };
+    }
+
+    async function completar(clave, quejaId, respuesta) {
+        await pool.query(`
+            UPDATE webhook_entregas
+            SET estado = 'completada', queja_id = $2, respuesta = $3, updated_at = CURRENT_TIMESTAMP
+            WHERE idempotency_key = $1
+        `, [clave, quejaId, JSON.stringify(respuesta)]);
+    }
+
+    async function fallar(clave, mensaje) {
+        await pool.query(`
+            UPDATE webhook_entregas
+            SET estado = 'error', error_mensaje = $2, updated_at = CURRENT_TIMESTAMP
+            WHERE idempotency_key = $1
+        `, [clave, mensaje]);
+    }
+
+    return { reservar, completar, fallar };
+}
+
+module.exports = {
+    guardarCuerpoCrudo,
+    firmar,
+    revisarConfiguracionFirma,
+    verificarFirma,
+    verificarFirmaWhatsApp,
+    verificarSuscripcionWhatsApp,
+    claveIdempotencia,
+    crearIdempotencia
+};